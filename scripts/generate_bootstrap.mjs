@@ -1,55 +1,94 @@
 import fs from 'node:fs'
 import path from 'node:path'
-
-const CMS_API = (process.env.CMS_API || process.env.VITE_CMS_API || 'https://cms-woad-delta.vercel.app').replace(/\/$/, '')
-const SITE_ID = String(process.env.CMS_SITE_ID || process.env.VITE_CMS_SITE_ID || '2').trim()
+import { SECTION_SLUGS, buildSiteData, indexSectionsBySlug, sectionsUrl } from '../src/cms/normalize.js'
+import { formatIssue } from '../src/cms/schema.js'
+import { createLimiter, fetchJsonWithRetry } from '../src/cms/fetch.js'
+import { DEFAULT_PAGE_SIZE, fetchAllPosts } from '../src/cms/posts.js'
+import { SITES, resolveSite } from '../src/site/registry.js'
+import { siteFilesPath } from '../src/site/routes.js'
+import { DEFAULT_CACHE_DIR, localizeMedia } from './lib/localize_media.mjs'
+import { buildSiteFiles } from './lib/site_feeds.mjs'
+import { resolveBandcampIds } from './lib/bandcamp_ids.mjs'
+import { resolveVideoPosters } from './lib/video_posters.mjs'
+
+// SITE=<key> picks an entry from src/site/registry.js (SITE=all builds every site); without it
+// the registry's default site is used. CMS_API / CMS_SITE_ID / SITE_URL still override a single site.
+const SITE_KEY = String(process.env.SITE || process.env.VITE_SITE || '').trim()
+const vercelUrl = process.env.VERCEL_PROJECT_PRODUCTION_URL ? `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}` : ''
+
+const resolveTargetSites = () => {
+  if (SITE_KEY === 'all') return SITES.map((site) => resolveSite({ key: site.key }))
+  return [resolveSite({
+    key: SITE_KEY || undefined,
+    overrides: {
+      cmsApi: process.env.CMS_API || process.env.VITE_CMS_API,
+      siteId: process.env.CMS_SITE_ID || process.env.VITE_CMS_SITE_ID,
+      url: process.env.SITE_URL || process.env.VITE_SITE_URL || vercelUrl
+    }
+  })]
+}
 
 const rootDir = process.cwd()
-const outPath = path.join(rootDir, 'public', 'posts_bootstrap.json')
-const tmpPath = outPath + '.tmp'
+// BOOTSTRAP_OUT lets local/mock runs write somewhere other than the committed snapshot (single site only).
+const outPathFor = (site) =>
+  process.env.BOOTSTRAP_OUT && SITE_KEY !== 'all'
+    ? path.resolve(rootDir, process.env.BOOTSTRAP_OUT)
+    : path.join(rootDir, 'public', site.bootstrapPath || '/posts_bootstrap.json')
+
+const TIMEOUT_MS = Number(process.env.CMS_TIMEOUT_MS) || 15000
+const RETRIES = Number.isFinite(Number(process.env.CMS_RETRIES)) ? Number(process.env.CMS_RETRIES) : 3
+const PAGE_SIZE = Number(process.env.CMS_PAGE_SIZE) || DEFAULT_PAGE_SIZE
+const CONCURRENCY = Number(process.env.CMS_CONCURRENCY) || 4
+
+const isFlagOn = (name, envVar) =>
+  process.argv.includes(`--${name}`) || String(process.env[envVar] || '').toLowerCase() === 'true'
+
+// Mirror remote CMS images/videos into public/media/ and rewrite their URLs (opt-in).
+const LOCALIZE_MEDIA = isFlagOn('localize-media', 'LOCALIZE_MEDIA')
+// Downloaded media and its manifest, kept between builds (public/media/ only gets copies).
+const MEDIA_CACHE_DIR = path.resolve(rootDir, process.env.MEDIA_CACHE_DIR || DEFAULT_CACHE_DIR)
+// Width-stepped AVIF/WebP variants in public/img/ recorded as `images` srcsets (opt-in).
+const RESPONSIVE_IMAGES = isFlagOn('responsive-images', 'RESPONSIVE_IMAGES')
+// Dimensions, dominant colour and LQIP per image without encoding variants (implied by the above).
+const IMAGE_PLACEHOLDERS = RESPONSIVE_IMAGES || isFlagOn('image-placeholders', 'IMAGE_PLACEHOLDERS')
+// Look up Bandcamp album/track IDs for the embedded player where the CMS gave none (opt-in).
+const RESOLVE_BANDCAMP = isFlagOn('resolve-bandcamp', 'RESOLVE_BANDCAMP')
+// Poster images for YouTube/Vimeo videos, mirrored into public/media/ for the click-to-load facades (opt-in).
+const VIDEO_POSTERS = isFlagOn('video-posters', 'VIDEO_POSTERS')
+
+const listFromEnv = (value, fallback, parse = (v) => v) => {
+  const list = String(value || '').split(',').map((v) => v.trim()).filter(Boolean).map(parse)
+  return list.length ? list : fallback
+}
+// Unset: image_derivatives.mjs's defaults
+const IMAGE_WIDTHS = listFromEnv(process.env.IMAGE_WIDTHS, undefined, Number)
+const IMAGE_FORMATS = listFromEnv(process.env.IMAGE_FORMATS, undefined)
 
 const fetchJson = async (url) => {
-  const res = await fetch(url, { headers: { Accept: 'application/json' } })
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status} for ${url}`)
+  try {
+    return await fetchJsonWithRetry(url, {
+      headers: { Accept: 'application/json' },
+      timeoutMs: TIMEOUT_MS,
+      retries: RETRIES,
+      onRetry: (err, { attempt, delay }) => {
+        // eslint-disable-next-line no-console
+        console.warn(`↻ retry ${attempt}/${RETRIES} in ${delay}ms (${err.message}) ${url}`)
+      }
+    })
+  } catch (err) {
+    throw new Error(`${err?.message || err} for ${url}`)
   }
-  return await res.json()
 }
 
-const firstBlockOfType = (blocks, type) => (Array.isArray(blocks) ? blocks.find((b) => b?.type === type) : null)
-
-const slideshowUrls = (block) => {
-  const images = block?.metadata?.images
-  if (!Array.isArray(images)) return []
-  return images.map((i) => i?.url).filter(Boolean)
-}
-
-const isExternalHref = (href) => /^(https?:\/\/|mailto:|tel:)/i.test(String(href || '').trim())
-
-const fetchPosts = async (sectionId) => {
-  const url = new URL(`${CMS_API}/posts`)
-  url.searchParams.set('siteId', SITE_ID)
-  url.searchParams.set('sectionId', String(sectionId))
-  url.searchParams.set('page', '1')
-  url.searchParams.set('limit', '1000')
-  url.searchParams.set('includeBlocks', 'true')
-  url.searchParams.set('includeTags', 'false')
-  url.searchParams.set('includeSection', 'false')
-
-  const data = await fetchJson(url.toString())
-  return Array.isArray(data?.posts) ? data.posts : []
-}
+const limit = createLimiter(CONCURRENCY)
 
-const buildBootstrap = async () => {
-  const sectionsUrl = new URL(`${CMS_API}/sections`)
-  sectionsUrl.searchParams.set('siteId', SITE_ID)
-  sectionsUrl.searchParams.set('limit', '200')
-  const sections = await fetchJson(sectionsUrl.toString())
+const buildBootstrap = async (site) => {
+  const base = site.cmsApi.replace(/\/$/, '')
+  const fetchPosts = (sectionId) =>
+    fetchAllPosts({ fetchJson, base, siteId: site.siteId, sectionId, pageSize: PAGE_SIZE, limit })
 
-  const bySlug = {}
-  ;(Array.isArray(sections) ? sections : []).forEach((s) => {
-    if (s?.slug) bySlug[s.slug] = s
-  })
+  const sections = await fetchJson(sectionsUrl(base, { siteId: site.siteId }))
+  const bySlug = indexSectionsBySlug(sections)
 
   const requireSectionId = (slug) => {
     const s = bySlug[slug]
@@ -57,103 +96,121 @@ const buildBootstrap = async () => {
     return s.id
   }
 
-  const landingId = requireSectionId('landing')
-  const releasesId = requireSectionId('releases')
-  const liveId = requireSectionId('live')
-  const bioId = requireSectionId('bio')
-  const contactId = requireSectionId('contact')
-
-  const [landingPosts, releasePosts, livePosts, bioPosts, contactPosts] = await Promise.all([
-    fetchPosts(landingId),
-    fetchPosts(releasesId),
-    fetchPosts(liveId),
-    fetchPosts(bioId),
-    fetchPosts(contactId)
-  ])
-
-  const landingSlideshow = firstBlockOfType(landingPosts?.[0]?.blocks, 'slideshow')
-  const landingSlides = landingSlideshow ? slideshowUrls(landingSlideshow) : []
-
-  const releases = (releasePosts || [])
-    .map((p) => {
-      const img = firstBlockOfType(p.blocks, 'image')?.content || ''
-      const href = firstBlockOfType(p.blocks, 'link')?.content || ''
-      return { href, title: p.title, image: img, order: p.order ?? 0 }
-    })
-    .filter((r) => r.href && r.title)
-    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
-
-  const liveProjects = (livePosts || [])
-    .map((p) => {
-      const img = firstBlockOfType(p.blocks, 'image')?.content || ''
-      return { slug: p.slug, title: p.title, image: img, order: p.order ?? 0 }
-    })
-    .filter((r) => r.slug)
-    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
-
-  const liveDetailMap = (livePosts || []).reduce((acc, p) => {
-    const slideshows = Array.isArray(p.blocks) ? p.blocks.filter((b) => b?.type === 'slideshow') : []
-    const primaryImages = slideshows[0] ? slideshowUrls(slideshows[0]) : null
-    const secondaryImages = slideshows[1] ? slideshowUrls(slideshows[1]) : null
-
-    const videoBlock = firstBlockOfType(p.blocks, 'video')
-    const videoSrc = String(videoBlock?.content || '').trim()
-    const video = videoSrc
-      ? /(youtube\.com|youtu\.be|vimeo\.com|player\.vimeo\.com)/i.test(videoSrc)
-          ? { type: 'iframe', src: videoSrc, title: p.title }
-          : { type: 'video', src: videoSrc, title: p.title }
-      : null
-
-    acc[p.slug] = { title: p.title || p.slug, video, primaryImages, secondaryImages }
-    return acc
-  }, {})
-
-  const bioSections = (bioPosts || [])
-    .map((p) => {
-      const html = firstBlockOfType(p.blocks, 'text')?.content || ''
-      return { order: p.order ?? 0, title: p.title, html }
-    })
-    .filter((s) => s.title)
-    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
-
-  const contactLinks = (contactPosts || [])
-    .map((p) => {
-      const href = firstBlockOfType(p.blocks, 'link')?.content || ''
-      return { order: p.order ?? 0, label: p.title, href, is_external: isExternalHref(href) }
-    })
-    .filter((l) => l.label && l.href)
-    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+  const sectionIds = SECTION_SLUGS.map(requireSectionId)
+  const postLists = await Promise.all(sectionIds.map(fetchPosts))
+  const postsBySection = Object.fromEntries(SECTION_SLUGS.map((slug, i) => [slug, postLists[i]]))
 
-  return { landingSlides, releases, liveProjects, liveDetailMap, bioSections, contactLinks }
+  return buildSiteData(postsBySection)
 }
 
 const ensureDir = (dir) => {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true })
 }
 
-const main = async () => {
+const generateForSite = async (site) => {
+  const outPath = outPathFor(site)
+  const tmpPath = outPath + '.tmp'
   ensureDir(path.dirname(outPath))
 
-  const bootstrap = await buildBootstrap()
-  const content = JSON.stringify(bootstrap)
+  const { data: bootstrap, issues } = await buildBootstrap(site)
+  const schemaIssues = issues.filter((i) => i.section === 'schema')
+  const contentIssues = issues.filter((i) => i.section !== 'schema')
 
-  let valid = false
-  try {
-    const parsed = JSON.parse(content)
-    valid = Array.isArray(parsed.landingSlides) && Array.isArray(parsed.releases)
-  } catch {
-    valid = false
+  if (contentIssues.length) {
+    // eslint-disable-next-line no-console
+    console.warn(`⚠️  ${contentIssues.length} content issue(s):\n${contentIssues.map((i) => `  - ${formatIssue(i)}`).join('\n')}`)
+  }
+  if (schemaIssues.length) {
+    throw new Error(`bootstrap JSON validation failed:\n${schemaIssues.map((i) => `  - ${formatIssue(i)}`).join('\n')}`)
   }
 
-  if (!valid) {
-    throw new Error('bootstrap JSON validation failed')
+  let output = bootstrap
+  if (RESOLVE_BANDCAMP) {
+    const { data, stats } = await resolveBandcampIds(output, {
+      concurrency: CONCURRENCY,
+      timeoutMs: TIMEOUT_MS,
+      // eslint-disable-next-line no-console
+      log: (msg) => console.warn(msg)
+    })
+    output = data
+    // eslint-disable-next-line no-console
+    console.log(`🎧 [${site.key}] bandcamp: ${stats.resolved} resolved, ${stats.failed} failed`)
   }
 
+  if (VIDEO_POSTERS) {
+    const { data, stats } = await resolveVideoPosters(output, {
+      publicDir: path.join(rootDir, 'public'),
+      cacheDir: MEDIA_CACHE_DIR,
+      concurrency: CONCURRENCY,
+      timeoutMs: TIMEOUT_MS,
+      // eslint-disable-next-line no-console
+      log: (msg) => console.warn(msg)
+    })
+    output = data
+    // eslint-disable-next-line no-console
+    console.log(`🎞  [${site.key}] video posters: ${stats.found} found, ${stats.failed} failed`)
+  }
+
+  if (LOCALIZE_MEDIA) {
+    const { data, stats } = await localizeMedia(output, {
+      publicDir: path.join(rootDir, 'public'),
+      cacheDir: MEDIA_CACHE_DIR,
+      concurrency: CONCURRENCY,
+      // eslint-disable-next-line no-console
+      log: (msg) => console.log(msg)
+    })
+    output = data
+    // eslint-disable-next-line no-console
+    console.log(`🗂  [${site.key}] media: ${stats.downloaded} downloaded, ${stats.unchanged} unchanged, ${stats.failed} failed`)
+  }
+
+  if (IMAGE_PLACEHOLDERS) {
+    // Loaded on demand: it needs sharp's native binary, which plain bootstrap runs should not
+    const { buildImageDerivatives } = await import('./lib/image_derivatives.mjs')
+    const { images, stats } = await buildImageDerivatives(output, {
+      publicDir: path.join(rootDir, 'public'),
+      widths: IMAGE_WIDTHS,
+      formats: RESPONSIVE_IMAGES ? IMAGE_FORMATS : [],
+      // eslint-disable-next-line no-console
+      log: (msg) => console.log(msg)
+    })
+    output = { ...output, images }
+    // eslint-disable-next-line no-console
+    console.log(`🖼  [${site.key}] images: ${stats.generated} generated, ${stats.unchanged} unchanged, ${stats.skipped} skipped, ${stats.failed} failed`)
+  }
+
+  const content = JSON.stringify(output)
+
   fs.writeFileSync(tmpPath, content, 'utf8')
   fs.renameSync(tmpPath, outPath)
 
   // eslint-disable-next-line no-console
-  console.log(`✅ wrote ${outPath} (${content.length} bytes) from ${CMS_API} siteId=${SITE_ID}`)
+  console.log(`✅ [${site.key}] wrote ${outPath} (${content.length} bytes) from ${site.cmsApi} siteId=${site.siteId}`)
+
+  writeSiteFiles(site, output, path.dirname(outPath))
+}
+
+// sitemap.xml + releases feeds next to the bootstrap (so they are served from the same public path).
+const writeSiteFiles = (site, data, dir) => {
+  const basePath = siteFilesPath(site)
+  const files = buildSiteFiles(data, site, { origin: site.url, basePath })
+  if (!site.url) {
+    // eslint-disable-next-line no-console
+    console.warn(`⚠️  [${site.key}] no SITE_URL: skipping sitemap.xml, feeds have no self links`)
+  }
+  for (const [name, content] of Object.entries(files)) {
+    const file = path.join(dir, name)
+    fs.writeFileSync(`${file}.tmp`, content, 'utf8')
+    fs.renameSync(`${file}.tmp`, file)
+  }
+  // eslint-disable-next-line no-console
+  console.log(`🗺  [${site.key}] wrote ${Object.keys(files).join(', ')}`)
+}
+
+const main = async () => {
+  for (const site of resolveTargetSites()) {
+    await generateForSite(site)
+  }
 }
 
 main().catch((err) => {
@@ -0,0 +1,64 @@
+// Looks up the numeric album/track IDs the Bandcamp embedded player needs for every Bandcamp URL
+// in the bootstrap that has none from the CMS. Each album/track page carries them in its
+// <meta name="bc-page-properties"> JSON ({ item_type: 'a' | 't', item_id }). Pages that fail to
+// load or parse are left alone, so the site shows the static fallback card for them.
+import { applyBandcampIds, mapBandcampLinks, parseBandcampUrl } from '../../src/cms/bandcamp.js'
+import { createLimiter, fetchWithRetry } from '../../src/cms/fetch.js'
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+
+// HTML of an album/track page -> { albumId } | { trackId } | null
+export const readPageIds = (html) => {
+  const tag = String(html || '').match(/<meta[^>]+name=["']bc-page-properties["'][^>]*>/i)?.[0]
+  const content = tag?.match(/content=(["'])([\s\S]*?)\1/i)?.[2]
+  if (!content) return null
+  try {
+    const props = JSON.parse(decodeEntities(content))
+    const id = String(props?.item_id ?? '')
+    if (!/^\d+$/.test(id)) return null
+    if (props.item_type === 'a') return { albumId: id }
+    if (props.item_type === 't') return { trackId: id }
+  } catch {
+    // not JSON: treat as unresolved
+  }
+  return null
+}
+
+const needsIds = (link) => link && !link.albumId && !link.trackId && parseBandcampUrl(link.url)
+
+// -> { data, stats: { resolved, failed } }; data gets the IDs applied plus a `bandcamp` map of them,
+// which withBuildAssets (src/cms/media.js) carries over to data rebuilt from the CMS in the browser.
+export const resolveBandcampIds = async (data, { concurrency = 4, timeoutMs = 10000, retries = 1, log = () => {} } = {}) => {
+  const pending = new Set()
+  mapBandcampLinks(data, (link) => {
+    if (needsIds(link)) pending.add(parseBandcampUrl(link.url).url)
+    return link
+  })
+
+  const limit = createLimiter(concurrency)
+  const ids = {}
+  let failed = 0
+  await Promise.all([...pending].map((url) => limit(async () => {
+    try {
+      const res = await fetchWithRetry(url, { timeoutMs, retries, headers: { Accept: 'text/html' } })
+      const found = readPageIds(await res.text())
+      if (!found) throw new Error('no bc-page-properties')
+      ids[url] = found
+    } catch (err) {
+      failed++
+      log(`⚠️  bandcamp: ${url}: ${err?.message || err}`)
+    }
+  })))
+
+  const resolved = Object.keys(ids).length
+  return {
+    data: resolved ? { ...applyBandcampIds(data, ids), bandcamp: ids } : data,
+    stats: { resolved, failed }
+  }
+}
@@ -0,0 +1,181 @@
+// Intrinsic metadata and width-stepped AVIF/WebP variants for every local image the bootstrap references.
+// Each image gets its (EXIF-upright) dimensions, dominant colour and a ~16px base64 LQIP for blur-up
+// placeholders; variants go to public/<outDir>/<sourceHash>-<width>.<format>. public/<outDir>/manifest.json
+// maps each source URL to its content hash, metadata and variants so unchanged sources are not re-encoded.
+// Returns { images: { [url]: { width, height, color, lqip, sources: [{ type, srcset }] } }, stats }.
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+import sharp from 'sharp'
+import { collectMediaUrls, isRemoteUrl } from '../../src/cms/media.js'
+import { createLimiter } from '../../src/cms/fetch.js'
+
+const MANIFEST_VERSION = 2
+
+export const DEFAULT_WIDTHS = [320, 640, 960, 1280, 1920]
+export const DEFAULT_FORMATS = ['avif', 'webp']
+
+const MIME = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg' }
+const ENCODE = {
+  avif: (img) => img.avif({ quality: 50, effort: 4 }),
+  webp: (img) => img.webp({ quality: 75 }),
+  jpeg: (img) => img.jpeg({ quality: 78, mozjpeg: true })
+}
+const LQIP_WIDTH = 16
+
+// Vector and animated sources are served as-is.
+const SKIP_EXTS = new Set(['.svg', '.gif'])
+
+// "/images%202/foo.JPG" -> <publicDir>/images 2/foo.JPG (null for remote or escaping paths)
+export const localPathFor = (url, publicDir) => {
+  if (!url || isRemoteUrl(url) || !url.startsWith('/')) return null
+  let pathname
+  try {
+    pathname = decodeURIComponent(url.split(/[?#]/)[0])
+  } catch {
+    return null
+  }
+  const full = path.join(publicDir, pathname)
+  return full.startsWith(path.resolve(publicDir) + path.sep) ? full : null
+}
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('')}`
+
+// Dominant colour and a blurred thumbnail small enough to inline in the bootstrap (~200–400 bytes).
+const placeholderFor = async (base) => {
+  const { dominant } = await base.clone().stats()
+  const tiny = await base.clone()
+    .resize({ width: LQIP_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 40 })
+    .toBuffer()
+  return { color: toHex(dominant), lqip: `data:image/webp;base64,${tiny.toString('base64')}` }
+}
+
+const hashFile = (file) => crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex')
+
+const readManifest = (manifestPath) => {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    if (parsed?.version === MANIFEST_VERSION && parsed.images) return parsed
+  } catch {
+    // missing or unreadable: start fresh
+  }
+  return { version: MANIFEST_VERSION, images: {} }
+}
+
+// Steps strictly narrower than the source, plus the source width itself (capped at the widest step).
+export const targetWidths = (sourceWidth, widths = DEFAULT_WIDTHS) => {
+  const max = Math.max(...widths)
+  const steps = widths.filter((w) => w < sourceWidth)
+  const top = Math.min(sourceWidth, max)
+  if (!steps.includes(top)) steps.push(top)
+  return steps.sort((a, b) => a - b)
+}
+
+// Browsers take the first <source> they support, so the smallest format must come first.
+const FORMAT_PREFERENCE = ['avif', 'webp', 'jpeg']
+
+const toSources = (entry, formats, urlPrefix) =>
+  Object.entries(entry.variants)
+    .filter(([format]) => formats.includes(format))
+    .sort(([a], [b]) => FORMAT_PREFERENCE.indexOf(a) - FORMAT_PREFERENCE.indexOf(b))
+    .map(([format, variants]) => ({
+      type: MIME[format],
+      srcset: variants.map((v) => `${urlPrefix}/${v.file} ${v.width}w`).join(', ')
+    }))
+
+const toImageMeta = (entry, formats, urlPrefix) => ({
+  width: entry.width,
+  height: entry.height,
+  color: entry.color,
+  lqip: entry.lqip,
+  sources: toSources(entry, formats, urlPrefix)
+})
+
+export const buildImageDerivatives = async (data, {
+  publicDir,
+  outDir = 'img',
+  widths = DEFAULT_WIDTHS,
+  formats = DEFAULT_FORMATS,
+  concurrency = 2,
+  log = () => {}
+} = {}) => {
+  const targetDir = path.join(publicDir, outDir)
+  const manifestPath = path.join(targetDir, 'manifest.json')
+  fs.mkdirSync(targetDir, { recursive: true })
+
+  const manifest = readManifest(manifestPath)
+  const urlPrefix = `/${outDir}`
+  const images = {}
+  const stats = { generated: 0, unchanged: 0, skipped: 0, failed: 0 }
+  const limit = createLimiter(concurrency)
+
+  const variantsExist = (entry) =>
+    formats.every((f) => entry.variants?.[f]?.length && entry.variants[f].every((v) => fs.existsSync(path.join(targetDir, v.file))))
+
+  const derive = async (url) => {
+    const source = localPathFor(url, publicDir)
+    if (!source || SKIP_EXTS.has(path.extname(source).toLowerCase())) {
+      stats.skipped++
+      return
+    }
+    if (!fs.existsSync(source)) {
+      stats.skipped++
+      log(`⚠️  image not found in public/: ${url}`)
+      return
+    }
+
+    const sourceHash = hashFile(source)
+    const previous = manifest.images[url]
+    if (previous?.sourceHash === sourceHash && variantsExist(previous)) {
+      stats.unchanged++
+      images[url] = toImageMeta(previous, formats, urlPrefix)
+      return
+    }
+
+    // .rotate() applies EXIF orientation so phone photos (the .JPG originals) come out upright.
+    const base = sharp(source, { failOn: 'none' }).rotate()
+    const meta = await sharp(source, { failOn: 'none' }).metadata()
+    const rotated = (meta.orientation || 1) >= 5
+    const width = rotated ? meta.height : meta.width
+    const height = rotated ? meta.width : meta.height
+    if (!width || !height) throw new Error('unreadable dimensions')
+
+    const prefix = sourceHash.slice(0, 12)
+    const steps = targetWidths(width, widths)
+    const variants = {}
+    for (const format of formats) {
+      variants[format] = []
+      for (const w of steps) {
+        const file = `${prefix}-${w}.${format === 'jpeg' ? 'jpg' : format}`
+        const out = path.join(targetDir, file)
+        if (!fs.existsSync(out)) {
+          await ENCODE[format](base.clone().resize({ width: w, withoutEnlargement: true })).toFile(out)
+        }
+        variants[format].push({ width: w, file })
+      }
+    }
+
+    const entry = { sourceHash, width, height, ...(await placeholderFor(base)), variants }
+    manifest.images[url] = entry
+    images[url] = toImageMeta(entry, formats, urlPrefix)
+    stats.generated++
+    log(formats.length ? `🖼  ${url} → ${steps.length} widths × ${formats.join('/')}` : `🖼  ${url} → ${width}×${height} placeholder`)
+  }
+
+  const urls = [...collectMediaUrls(data)].filter(([, kind]) => kind === 'image').map(([url]) => url)
+  await Promise.all(urls.map((url) => limit(async () => {
+    try {
+      await derive(url)
+    } catch (err) {
+      stats.failed++
+      log(`⚠️  could not derive ${url}: ${err?.message || err}`)
+    }
+  })))
+
+  const tmpManifest = `${manifestPath}.tmp`
+  fs.writeFileSync(tmpManifest, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8')
+  fs.renameSync(tmpManifest, manifestPath)
+
+  return { images, stats }
+}
@@ -0,0 +1,176 @@
+// Downloads every remote image, video, caption track and audio file referenced by the bootstrap into
+// public/<mediaDir>/ (git-ignored) under content-hashed filenames and rewrites the URLs.
+// Downloads are kept in `cacheDir` (by default node_modules/.cache/media-mirror/, which Vercel
+// restores between builds) with a manifest.json of what each source URL resolved to (plus its
+// ETag/Last-Modified), so the next build only re-downloads assets the origin reports as changed.
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { collectMediaUrls, isRemoteUrl, mapMediaUrls } from '../../src/cms/media.js'
+import { createLimiter, fetchWithRetry } from '../../src/cms/fetch.js'
+
+const MANIFEST_VERSION = 1
+
+const EXT_BY_TYPE = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/gif': '.gif',
+  'image/svg+xml': '.svg',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/ogg': '.ogv',
+  'video/quicktime': '.mov',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'audio/ogg': '.oga',
+  'audio/wav': '.wav',
+  'text/vtt': '.vtt'
+}
+const KNOWN_EXTS = new Set([...Object.values(EXT_BY_TYPE), '.jpeg', '.ogg'])
+
+const extensionFor = (url, contentType) => {
+  const fromUrl = path.extname(new URL(url).pathname).toLowerCase()
+  if (KNOWN_EXTS.has(fromUrl)) return fromUrl === '.jpeg' ? '.jpg' : fromUrl
+  return EXT_BY_TYPE[String(contentType || '').split(';')[0].trim().toLowerCase()] || ''
+}
+
+const readManifest = (manifestPath) => {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    if (parsed?.version === MANIFEST_VERSION && parsed.assets) return parsed
+  } catch {
+    // missing or unreadable: start fresh
+  }
+  return { version: MANIFEST_VERSION, assets: {} }
+}
+
+// Streams the body to a temp file while hashing it; returns { tmpPath, hash, bytes }.
+const downloadToTemp = async (res, dir, maxBytes) => {
+  const tmpPath = path.join(dir, `.download-${process.pid}-${crypto.randomUUID()}`)
+  const hash = crypto.createHash('sha256')
+  let bytes = 0
+
+  const meter = async function* (source) {
+    for await (const chunk of source) {
+      bytes += chunk.length
+      if (maxBytes && bytes > maxBytes) throw new Error(`larger than ${maxBytes} bytes`)
+      hash.update(chunk)
+      yield chunk
+    }
+  }
+
+  try {
+    await pipeline(Readable.fromWeb(res.body), meter, fs.createWriteStream(tmpPath))
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true })
+    throw err
+  }
+  return { tmpPath, hash: hash.digest('hex'), bytes }
+}
+
+export const DEFAULT_CACHE_DIR = path.join('node_modules', '.cache', 'media-mirror')
+
+// Mirrors [url, kind] pairs into public/<mediaDir>/ -> { resolved: Map(url → /<mediaDir>/ URL), stats }.
+// URLs that could not be downloaded are logged and left out of `resolved`.
+export const mirrorMedia = async (entries, {
+  publicDir,
+  mediaDir = 'media',
+  cacheDir = path.resolve(DEFAULT_CACHE_DIR),
+  concurrency = 4,
+  timeoutMs = 60000,
+  retries = 2,
+  maxBytes = 250 * 1024 * 1024,
+  log = () => {}
+} = {}) => {
+  const resolved = new Map()
+  const stats = { downloaded: 0, unchanged: 0, failed: 0 }
+  if (!entries.length) return { resolved, stats }
+
+  const outDir = path.join(publicDir, mediaDir)
+  const manifestPath = path.join(cacheDir, 'manifest.json')
+  fs.mkdirSync(outDir, { recursive: true })
+  fs.mkdirSync(cacheDir, { recursive: true })
+
+  const manifest = readManifest(manifestPath)
+  const limit = createLimiter(concurrency)
+
+  // Cached file -> public/<mediaDir>/ (content-addressed, so an existing copy is already right)
+  const publish = (file) => {
+    const target = path.join(outDir, file)
+    if (!fs.existsSync(target)) fs.copyFileSync(path.join(cacheDir, file), target)
+    return `/${mediaDir}/${file}`
+  }
+
+  const localize = async (url, kind) => {
+    const previous = manifest.assets[url]
+    const previousOnDisk = previous && fs.existsSync(path.join(cacheDir, previous.file))
+
+    const headers = {}
+    if (previousOnDisk && previous.etag) headers['If-None-Match'] = previous.etag
+    if (previousOnDisk && previous.lastModified) headers['If-Modified-Since'] = previous.lastModified
+
+    // No validators to ask with: trust the manifest (the file is content-addressed anyway).
+    if (previousOnDisk && !previous.etag && !previous.lastModified) {
+      stats.unchanged++
+      return publish(previous.file)
+    }
+
+    const res = await fetchWithRetry(url, { headers, timeoutMs, retries }).catch((err) => {
+      if (err?.status === 304) return null
+      throw err
+    })
+    if (!res || res.status === 304) {
+      stats.unchanged++
+      return publish(previous.file)
+    }
+
+    const { tmpPath, hash, bytes } = await downloadToTemp(res, cacheDir, maxBytes)
+    const file = `${hash.slice(0, 16)}${extensionFor(url, res.headers.get('content-type'))}`
+    const finalPath = path.join(cacheDir, file)
+    if (fs.existsSync(finalPath)) fs.rmSync(tmpPath, { force: true })
+    else fs.renameSync(tmpPath, finalPath)
+
+    manifest.assets[url] = {
+      file,
+      kind,
+      sha256: hash,
+      bytes,
+      contentType: res.headers.get('content-type') || null,
+      etag: res.headers.get('etag') || null,
+      lastModified: res.headers.get('last-modified') || null,
+      fetchedAt: new Date().toISOString()
+    }
+    stats.downloaded++
+    log(`⬇︎  ${kind} ${url} → /${mediaDir}/${file} (${bytes} bytes)`)
+    return publish(file)
+  }
+
+  await Promise.all(entries.map(([url, kind]) => limit(async () => {
+    try {
+      resolved.set(url, await localize(url, kind))
+    } catch (err) {
+      // Keep the remote URL: a broken mirror must not break the build.
+      stats.failed++
+      log(`⚠️  could not localize ${url}: ${err?.message || err}`)
+    }
+  })))
+
+  const tmpManifest = `${manifestPath}.tmp`
+  fs.writeFileSync(tmpManifest, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8')
+  fs.renameSync(tmpManifest, manifestPath)
+  return { resolved, stats }
+}
+
+export const localizeMedia = async (data, options = {}) => {
+  const remote = [...collectMediaUrls(data)].filter(([url]) => isRemoteUrl(url))
+  const { resolved, stats } = await mirrorMedia(remote, options)
+
+  // `media` travels in the bootstrap so the app can apply the same rewrite to live CMS data.
+  const media = Object.fromEntries(resolved)
+  return { data: { ...mapMediaUrls(data, (url) => resolved.get(url) || url), media }, stats }
+}
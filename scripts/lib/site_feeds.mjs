@@ -0,0 +1,165 @@
+// sitemap.xml and the releases feeds (RSS 2.0, Atom, JSON Feed 1.1) rendered from the bootstrap.
+// Entry IDs are name-based UUIDs of the release href, so they survive retitles and reorders;
+// dates come from the CMS post timestamps normalize.js keeps on releases and live projects.
+// Items link to the release page when the origin is known, otherwise straight to Bandcamp.
+import crypto from 'node:crypto'
+import {
+  FEED_FILES,
+  STATIC_ROUTES,
+  feedTitle,
+  isRoutableSlug,
+  liveProjectPath,
+  releasePath,
+  releaseSlug
+} from '../../src/site/routes.js'
+
+export { FEED_FILES }
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+const absoluteUrl = (url, origin) => {
+  if (!url || !origin) return url || ''
+  try {
+    return new URL(url, origin).toString()
+  } catch {
+    return url
+  }
+}
+
+// "https://ruego.bandcamp.com/album/rg25" -> "urn:uuid:xxxxxxxx-xxxx-5xxx-yxxx-xxxxxxxxxxxx" (SHA-1, RFC 4122 v5 layout)
+export const stableId = (value) => {
+  const h = crypto.createHash('sha1').update(String(value).trim()).digest('hex')
+  const variant = ((parseInt(h[16], 16) & 0x3) | 0x8).toString(16)
+  return `urn:uuid:${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-${variant}${h.slice(17, 20)}-${h.slice(20, 32)}`
+}
+
+const routableReleases = (data) => (data.releases || []).filter((r) => isRoutableSlug(releaseSlug(r)))
+
+const itemUrl = (release, origin) =>
+  origin && isRoutableSlug(releaseSlug(release)) ? absoluteUrl(releasePath(releaseSlug(release)), origin) : release.href
+
+const latest = (items) => items.map((i) => i?.updatedAt).filter(Boolean).sort().pop() || null
+
+// Atom requires <updated>; without CMS timestamps use a fixed date rather than the build time, so
+// the files only change when the data does.
+const UNDATED = '1970-01-01T00:00:00.000Z'
+
+// Newest first when the CMS gave dates; otherwise the releases' own order.
+const feedItems = (data) =>
+  (data.releases || [])
+    .map((r, index) => ({ ...r, index }))
+    .sort((a, b) => String(b.publishedAt || '').localeCompare(String(a.publishedAt || '')) || a.index - b.index)
+
+export const renderSitemap = (data, { origin }) => {
+  const live = (data.liveProjects || []).filter((p) => isRoutableSlug(p.slug))
+  const lastmodByPath = {
+    '/': latest([...(data.releases || []), ...(data.liveProjects || [])]),
+    '/releases': latest(data.releases || []),
+    '/live': latest(data.liveProjects || [])
+  }
+  const urls = [
+    ...STATIC_ROUTES.map((route) => ({ loc: route, lastmod: lastmodByPath[route] })),
+    ...live.map((p) => ({ loc: liveProjectPath(p.slug), lastmod: p.updatedAt })),
+    ...routableReleases(data).map((r) => ({ loc: releasePath(releaseSlug(r)), lastmod: r.updatedAt }))
+  ]
+  const entries = urls.map(({ loc, lastmod }) =>
+    `  <url>\n    <loc>${escapeXml(absoluteUrl(loc, origin))}</loc>\n${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ''}  </url>`)
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${entries.join('\n')}\n</urlset>\n`
+}
+
+const feedMeta = (site, { origin, basePath }) => ({
+  title: feedTitle(site),
+  description: site.meta?.description || '',
+  home: origin ? absoluteUrl('/releases', origin) : '',
+  feedUrl: (file) => (origin ? absoluteUrl(`${basePath}${file}`, origin) : '')
+})
+
+export const renderRss = (data, site, { origin, basePath = '/' }) => {
+  const meta = feedMeta(site, { origin, basePath })
+  const items = feedItems(data).map((r) => [
+    '    <item>',
+    `      <title>${escapeXml(r.title)}</title>`,
+    `      <link>${escapeXml(itemUrl(r, origin))}</link>`,
+    `      <guid isPermaLink="false">${stableId(r.href)}</guid>`,
+    r.publishedAt ? `      <pubDate>${new Date(r.publishedAt).toUTCString()}</pubDate>` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'))
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(meta.title)}</title>`,
+    meta.home ? `    <link>${escapeXml(meta.home)}</link>` : null,
+    meta.home ? `    <atom:link href="${escapeXml(meta.feedUrl(FEED_FILES.rss))}" rel="self" type="application/rss+xml" />` : null,
+    `    <description>${escapeXml(meta.description)}</description>`,
+    latest(data.releases || []) ? `    <lastBuildDate>${new Date(latest(data.releases)).toUTCString()}</lastBuildDate>` : null,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].filter((line) => line !== null).join('\n')
+}
+
+export const renderAtom = (data, site, { origin, basePath = '/' }) => {
+  const meta = feedMeta(site, { origin, basePath })
+  const feedUpdated = latest(data.releases || []) || UNDATED
+  const entries = feedItems(data).map((r) => [
+    '  <entry>',
+    `    <id>${stableId(r.href)}</id>`,
+    `    <title>${escapeXml(r.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(itemUrl(r, origin))}" />`,
+    r.publishedAt ? `    <published>${r.publishedAt}</published>` : null,
+    `    <updated>${r.updatedAt || feedUpdated}</updated>`,
+    '  </entry>'
+  ].filter(Boolean).join('\n'))
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${meta.home ? escapeXml(meta.feedUrl(FEED_FILES.atom)) : stableId(`${site.key}:releases`)}</id>`,
+    `  <title>${escapeXml(meta.title)}</title>`,
+    meta.description ? `  <subtitle>${escapeXml(meta.description)}</subtitle>` : null,
+    `  <updated>${feedUpdated}</updated>`,
+    `  <author><name>${escapeXml(site.name)}</name></author>`,
+    meta.home ? `  <link rel="alternate" href="${escapeXml(meta.home)}" />` : null,
+    meta.home ? `  <link rel="self" href="${escapeXml(meta.feedUrl(FEED_FILES.atom))}" />` : null,
+    ...entries,
+    '</feed>',
+    ''
+  ].filter((line) => line !== null).join('\n')
+}
+
+export const renderJsonFeed = (data, site, { origin, basePath = '/' }) => {
+  const meta = feedMeta(site, { origin, basePath })
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    ...(meta.home ? { home_page_url: meta.home, feed_url: meta.feedUrl(FEED_FILES.json) } : {}),
+    ...(meta.description ? { description: meta.description } : {}),
+    authors: [{ name: site.name }],
+    items: feedItems(data).map((r) => ({
+      id: stableId(r.href),
+      url: itemUrl(r, origin),
+      ...(itemUrl(r, origin) !== r.href ? { external_url: r.href } : {}),
+      title: r.title,
+      content_text: r.title,
+      ...(r.image ? { image: absoluteUrl(r.image, origin) } : {}),
+      ...(r.publishedAt ? { date_published: r.publishedAt } : {}),
+      ...(r.updatedAt ? { date_modified: r.updatedAt } : {})
+    }))
+  }
+  return `${JSON.stringify(feed, null, 2)}\n`
+}
+
+// -> { [fileName]: content }; the sitemap needs absolute URLs, so it is skipped without an origin.
+export const buildSiteFiles = (data, site, { origin = '', basePath = '/' } = {}) => ({
+  ...(origin ? { 'sitemap.xml': renderSitemap(data, { origin }) } : {}),
+  [FEED_FILES.rss]: renderRss(data, site, { origin, basePath }),
+  [FEED_FILES.atom]: renderAtom(data, site, { origin, basePath }),
+  [FEED_FILES.json]: renderJsonFeed(data, site, { origin, basePath })
+})
@@ -0,0 +1,71 @@
+// Finds a poster image for every YouTube/Vimeo video in the bootstrap that has none and mirrors it
+// into public/media/, so the click-to-load facade has something to show without contacting the
+// provider in the browser. YouTube thumbnails live at a fixed URL; Vimeo's come from its oEmbed
+// endpoint. A poster that can't be downloaded is dropped rather than hotlinked.
+import { applyVideoPosters, vimeoOembedUrl, youtubePosterUrl } from '../../src/cms/embeds.js'
+import { createLimiter, fetchJsonWithRetry } from '../../src/cms/fetch.js'
+import { embedOf } from '../../src/cms/video.js'
+import { mirrorMedia } from './localize_media.mjs'
+
+// -> { data, stats: { found, failed } }; data gets the posters applied plus a `posters` map of them
+// (embed URL → /media/ URL), which withBuildAssets (src/cms/media.js) carries over to data rebuilt
+// from the CMS in the browser.
+export const resolveVideoPosters = async (data, {
+  publicDir,
+  mediaDir = 'media',
+  cacheDir,
+  concurrency = 4,
+  timeoutMs = 10000,
+  retries = 1,
+  log = () => {}
+} = {}) => {
+  const limit = createLimiter(concurrency)
+  const pending = new Map()
+  Object.values(data.liveDetailMap || {})
+    .flatMap(({ blocks = [] }) => blocks.filter((block) => block.type === 'video').flatMap((block) => block.videos))
+    .forEach((video) => {
+      const embed = video.type === 'iframe' && !video.poster ? embedOf(video) : null
+      if (embed) pending.set(video.src, embed)
+    })
+
+  const posters = {}
+  let failed = 0
+  await Promise.all([...pending].map(([src, embed]) => limit(async () => {
+    if (embed.provider === 'youtube') {
+      posters[src] = youtubePosterUrl(embed.id)
+      return
+    }
+    try {
+      const oembed = await fetchJsonWithRetry(vimeoOembedUrl(embed.id), { timeoutMs, retries, headers: { Accept: 'application/json' } })
+      if (!oembed?.thumbnail_url) throw new Error('no thumbnail_url')
+      posters[src] = oembed.thumbnail_url
+    } catch (err) {
+      failed++
+      log(`⚠️  poster: ${src}: ${err?.message || err}`)
+    }
+  })))
+
+  const { resolved } = await mirrorMedia([...new Set(Object.values(posters))].map((url) => [url, 'image']), {
+    publicDir,
+    mediaDir,
+    cacheDir,
+    concurrency,
+    timeoutMs,
+    retries,
+    log
+  })
+  Object.entries(posters).forEach(([src, url]) => {
+    if (resolved.has(url)) {
+      posters[src] = resolved.get(url)
+      return
+    }
+    delete posters[src]
+    failed++
+  })
+
+  const found = Object.keys(posters).length
+  return {
+    data: found ? { ...applyVideoPosters(data, posters), posters } : data,
+    stats: { found, failed }
+  }
+}
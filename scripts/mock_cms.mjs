@@ -0,0 +1,140 @@
+// Local stand-in for the CMS API, served from scripts/fixtures/cms.json.
+//
+//   npm run mock:cms                              # http://localhost:3000, default scenario
+//   npm run mock:cms -- --scenario=failing-section --port=3001
+//   MOCK_CMS_SCENARIO=slow npm run mock:cms
+//
+// Implements GET /sections (siteId, limit) and GET /posts (siteId, sectionId, page, limit,
+// includeBlocks, preview). Drafts are only returned when `preview` matches MOCK_CMS_PREVIEW_TOKEN.
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import http from 'node:http'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { scenarios } from './mock_cms_scenarios.mjs'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter((a) => a.startsWith('--'))
+    .map((a) => {
+      const [k, v = 'true'] = a.slice(2).split('=')
+      return [k, v]
+    })
+)
+
+const PORT = Number(args.port || process.env.MOCK_CMS_PORT || 3000)
+const FIXTURE = path.resolve(args.fixture || process.env.MOCK_CMS_FIXTURE || path.join(__dirname, 'fixtures', 'cms.json'))
+const SCENARIO = String(args.scenario || process.env.MOCK_CMS_SCENARIO || 'default')
+const PREVIEW_TOKEN = String(process.env.MOCK_CMS_PREVIEW_TOKEN || 'dev')
+const DEFAULT_SITE_ID = String(process.env.MOCK_CMS_SITE_ID || '2')
+
+const scenario = scenarios[SCENARIO]
+if (!scenario) {
+  // eslint-disable-next-line no-console
+  console.error(`❌ unknown scenario "${SCENARIO}". Available:\n${Object.entries(scenarios).map(([k, s]) => `  ${k.padEnd(18)} ${s.description}`).join('\n')}`)
+  process.exit(1)
+}
+
+// Re-read the fixture on every request so edits show up without a restart.
+const loadSite = (siteId) => {
+  const db = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'))
+  const site = db.sites?.[siteId]
+  if (!site) return null
+  const copy = structuredClone(site)
+  scenario.mutate?.(copy)
+  return copy
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Successful responses carry an ETag of their body and answer a matching If-None-Match with 304.
+const send = (req, res, status, body) => {
+  const json = body === undefined ? '' : JSON.stringify(body)
+  const etag = status === 200 ? `"${crypto.createHash('sha1').update(json).digest('hex').slice(0, 16)}"` : null
+  const notModified = etag && req.headers['if-none-match'] === etag
+  res.writeHead(notModified ? 304 : status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Expose-Headers': 'ETag',
+    'Cache-Control': 'no-store',
+    ...(etag ? { ETag: etag } : {})
+  })
+  res.end(notModified ? '' : json)
+  return notModified ? 304 : status
+}
+
+const toInt = (val, fallback) => {
+  const n = Number.parseInt(val, 10)
+  return Number.isFinite(n) && n > 0 ? n : fallback
+}
+
+const handlers = {
+  '/sections': ({ params, site }) => {
+    const limit = toInt(params.get('limit'), 50)
+    return [200, site.sections.slice(0, limit)]
+  },
+
+  '/posts': ({ params, site }) => {
+    const sectionId = params.get('sectionId')
+    const page = toInt(params.get('page'), 1)
+    const limit = toInt(params.get('limit'), 20)
+    const includeBlocks = params.get('includeBlocks') === 'true'
+    const preview = params.get('preview') === PREVIEW_TOKEN
+
+    const all = site.posts
+      .filter((p) => sectionId == null || String(p.sectionId) === String(sectionId))
+      .filter((p) => preview || p.status !== 'draft')
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+
+    const total = all.length
+    const posts = all
+      .slice((page - 1) * limit, page * limit)
+      .map((p) => (includeBlocks ? p : { ...p, blocks: undefined }))
+
+    return [200, {
+      posts,
+      pagination: { page, limit, total, totalPages: Math.max(1, Math.ceil(total / limit)) }
+    }]
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+  const { pathname, searchParams: params } = url
+  const started = Date.now()
+
+  if (req.method === 'OPTIONS') return send(req, res, 204)
+
+  const handler = handlers[pathname]
+  let status = 404
+  let body = { error: 'Not found' }
+
+  try {
+    if (handler && req.method === 'GET') {
+      const site = loadSite(String(params.get('siteId') || DEFAULT_SITE_ID))
+      if (!site) {
+        ;[status, body] = [404, { error: `Unknown siteId ${params.get('siteId')}` }]
+      } else {
+        if (scenario.delayMs) await sleep(scenario.delayMs)
+        const failStatus = scenario.fail?.({ pathname, params, site }) ?? null
+        ;[status, body] = failStatus
+          ? [failStatus, { error: `mock failure (${SCENARIO})` }]
+          : handler({ params, site })
+      }
+    }
+  } catch (err) {
+    ;[status, body] = [500, { error: err?.message || String(err) }]
+  }
+
+  const sent = send(req, res, status, body)
+  // eslint-disable-next-line no-console
+  console.log(`${sent} ${req.method} ${pathname}${url.search} (${Date.now() - started}ms)`)
+})
+
+server.listen(PORT, () => {
+  // eslint-disable-next-line no-console
+  console.log(`🧪 mock CMS on http://localhost:${PORT} — scenario "${SCENARIO}": ${scenario.description}`)
+})
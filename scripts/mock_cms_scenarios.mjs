@@ -0,0 +1,67 @@
+// Scenarios for scripts/mock_cms.mjs. Each one can mutate a copy of the fixture site
+// (`mutate`), delay every response (`delayMs`) and/or fail requests (`fail(req)` returns an
+// HTTP status, or null to answer normally).
+
+const sectionBySlug = (site, slug) => site.sections.find((s) => s.slug === slug)
+
+const postsIn = (site, slug) => {
+  const section = sectionBySlug(site, slug)
+  return section ? site.posts.filter((p) => p.sectionId === section.id) : []
+}
+
+export const scenarios = {
+  default: {
+    description: 'fixture content as-is'
+  },
+
+  'missing-sections': {
+    description: 'the bio and contact sections do not exist',
+    mutate: (site) => {
+      site.sections = site.sections.filter((s) => !['bio', 'contact'].includes(s.slug))
+    }
+  },
+
+  'empty-slideshows': {
+    description: 'landing and live slideshows have no images',
+    mutate: (site) => {
+      site.posts.forEach((p) => {
+        ;(p.blocks || []).forEach((b) => {
+          if (b.type === 'slideshow') b.metadata = { ...b.metadata, images: [] }
+        })
+      })
+    }
+  },
+
+  'bad-videos': {
+    description: 'live posts carry unusable video URLs',
+    mutate: (site) => {
+      const bad = ['https://www.youtube.com/watch?v=', 'not a url', '/images/missing-video.mp4']
+      postsIn(site, 'live').forEach((p, i) => {
+        const video = (p.blocks || []).find((b) => b.type === 'video')
+        if (video) video.content = bad[i % bad.length]
+        else p.blocks.push({ id: p.id * 10 + 9, type: 'video', order: 9, content: bad[i % bad.length] })
+      })
+    }
+  },
+
+  slow: {
+    description: 'every response is delayed by MOCK_CMS_DELAY_MS (default 3000ms)',
+    delayMs: Number(process.env.MOCK_CMS_DELAY_MS) || 3000
+  },
+
+  'failing-section': {
+    description: 'GET /posts for the bio section answers 503',
+    fail: ({ pathname, params, site }) =>
+      pathname === '/posts' && String(params.get('sectionId')) === String(sectionBySlug(site, 'bio')?.id) ? 503 : null
+  },
+
+  flaky: {
+    description: 'roughly every other request answers 503 (exercises retries)',
+    fail: () => (Math.random() < 0.5 ? 503 : null)
+  },
+
+  down: {
+    description: 'every endpoint answers 500',
+    fail: () => 500
+  }
+}
@@ -0,0 +1,154 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { resolveSite } from '../src/site/registry.js'
+import { buildRouteHead, renderHeadTags } from '../src/site/head.js'
+import { STATIC_ROUTES, isRoutableSlug, liveProjectPath, releasePath, releaseSlug, resolveLiveSlug } from '../src/site/routes.js'
+
+// Renders every route to static HTML (and its <head>, see src/site/head.js) from the bootstrap
+// dataset so crawlers, link unfurlers and no-JS visitors get real markup; main.jsx then hydrates it. Runs after both Vite builds:
+//   vite build && vite build --ssr src/entry-server.jsx --outDir dist-ssr && node scripts/prerender.mjs
+// Writes dist/index.html for "/" and dist/<route>/index.html for the rest, plus small redirect pages
+// for the old top-level /<slug> live URLs and for renamed slugs (/live/<old> → /live/<new>).
+
+const rootDir = process.cwd()
+const distDir = path.join(rootDir, 'dist')
+const serverEntry = path.join(rootDir, 'dist-ssr', 'entry-server.js')
+
+// Same site the client bundle resolves to when VITE_SITE is set (otherwise the default site).
+// SITE_URL (or VITE_SITE_URL, or Vercel's production domain) is the public origin for canonical
+// and og:image URLs; the registry's `url` is the fallback.
+const vercelUrl = process.env.VERCEL_PROJECT_PRODUCTION_URL ? `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}` : ''
+const SITE = resolveSite({
+  key: String(process.env.VITE_SITE || '').trim() || undefined,
+  overrides: { url: process.env.SITE_URL || process.env.VITE_SITE_URL || vercelUrl }
+})
+
+const readBootstrap = () => {
+  // dist/ already holds the copy of public/ that ships with this build
+  const file = path.join(distDir, SITE.bootstrapPath || '/posts_bootstrap.json')
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    throw new Error(`cannot read bootstrap ${file}: ${err?.message || err}`)
+  }
+}
+
+const routableSlugs = (slugs, kind) =>
+  slugs.filter((slug) => {
+    const ok = isRoutableSlug(slug)
+    // eslint-disable-next-line no-console
+    if (!ok) console.warn(`⚠️  skipping ${kind} slug "${slug}" (not a plain path segment)`)
+    return ok
+  })
+
+const routesFor = (data) => {
+  const live = routableSlugs(Object.keys(data.liveDetailMap || {}), 'live')
+  const releases = routableSlugs((data.releases || []).map(releaseSlug), 'release')
+  return [...STATIC_ROUTES, ...live.map(liveProjectPath), ...releases.map(releasePath)]
+}
+
+// from → to for crawlers and no-JS visitors (the app itself redirects with <Navigate>).
+const redirectsFor = (data) => {
+  const live = data.liveDetailMap || {}
+  const renamed = { ...(data.slugRedirects || {}), ...(SITE.slugRedirects || {}) }
+  const legacy = Object.keys(live)
+    .filter((slug) => isRoutableSlug(slug) && !STATIC_ROUTES.includes(`/${slug}`))
+    .map((slug) => [`/${slug}`, liveProjectPath(slug)])
+  const forwarded = Object.keys(renamed)
+    .filter((slug) => isRoutableSlug(slug) && !live[slug])
+    .map((slug) => [slug, resolveLiveSlug(slug, live, renamed)])
+    .filter(([, target]) => target)
+    .flatMap(([slug, target]) => [
+      [liveProjectPath(slug), liveProjectPath(target)],
+      ...(STATIC_ROUTES.includes(`/${slug}`) ? [] : [[`/${slug}`, liveProjectPath(target)]])
+    ])
+  return [...legacy, ...forwarded]
+}
+
+const escapeAttr = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')
+
+const redirectPage = (to) => {
+  const href = escapeAttr(SITE.url ? new URL(to, SITE.url).toString() : to)
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Redirecting…</title>
+    <meta name="robots" content="noindex" />
+    <link rel="canonical" href="${href}" />
+    <meta http-equiv="refresh" content="0; url=${escapeAttr(to)}" />
+  </head>
+  <body>
+    <a href="${escapeAttr(to)}">${escapeAttr(to)}</a>
+  </body>
+</html>
+`
+}
+
+// JSON inside <script>: keep "</script>" and line separators from ending or breaking it.
+const serializeData = (data) =>
+  JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+
+const HEAD_BLOCK = /<!--app-head-->[\s\S]*?<!--\/app-head-->/
+
+const fillTemplate = (template, route, html, data) => {
+  if (!HEAD_BLOCK.test(template) || !template.includes('<!--app-html-->') || !template.includes('<!--app-data-->')) {
+    throw new Error('dist/index.html is missing the <!--app-head--> / <!--app-html--> / <!--app-data--> markers')
+  }
+  const head = buildRouteHead({ site: SITE, pathname: route, data, origin: SITE.url })
+  return template
+    .replace(HEAD_BLOCK, () => renderHeadTags(head))
+    .replace('<div id="root">', `<div id="root" data-prerendered-route="${route}" data-prerendered-site="${SITE.key}">`)
+    .replace('<!--app-html-->', () => html)
+    .replace('<!--app-data-->', () => `<script id="prerender-data" type="application/json">${serializeData(data)}</script>`)
+}
+
+const outFileFor = (route) => {
+  const file = route === '/' ? path.join(distDir, 'index.html') : path.join(distDir, route, 'index.html')
+  if (!path.resolve(file).startsWith(path.resolve(distDir) + path.sep)) throw new Error(`route escapes dist/: ${route}`)
+  return file
+}
+
+const main = async () => {
+  if (!fs.existsSync(serverEntry)) throw new Error(`${serverEntry} not found (run vite build --ssr first)`)
+  const { render } = await import(pathToFileURL(serverEntry).href)
+
+  // dist/index.html is overwritten by the "/" page: keep the pristine shell next to the SSR bundle
+  // (emptied by every build:ssr) so the script can be re-run.
+  const templateFile = path.join(rootDir, 'dist-ssr', 'index.template.html')
+  if (!fs.existsSync(templateFile)) fs.copyFileSync(path.join(distDir, 'index.html'), templateFile)
+  const template = fs.readFileSync(templateFile, 'utf8')
+  const data = readBootstrap()
+  const routes = routesFor(data)
+  // eslint-disable-next-line no-console
+  if (!SITE.url) console.warn('⚠️  no SITE_URL: canonical links are omitted and og:image URLs stay relative')
+
+  const write = (route, page) => {
+    const file = outFileFor(route)
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, page, 'utf8')
+  }
+
+  for (const route of routes) {
+    write(route, fillTemplate(template, route, render(route, data), data))
+  }
+  const redirects = redirectsFor(data)
+  for (const [from, to] of redirects) {
+    write(from, redirectPage(to))
+  }
+
+  // eslint-disable-next-line no-console
+  console.log(`✅ [${SITE.key}] prerendered ${routes.length} routes: ${routes.join(' ')}`)
+  // eslint-disable-next-line no-console
+  if (redirects.length) console.log(`↪︎  [${SITE.key}] ${redirects.map(([from, to]) => `${from} → ${to}`).join(', ')}`)
+}
+
+main().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error('❌ prerender failed:', err?.message || err)
+  process.exit(1)
+})
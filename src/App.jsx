@@ -1,11 +1,33 @@
-import { memo, useMemo, useCallback, useState, useEffect } from 'react'
-import { Routes, Route, Link, useParams, useLocation } from 'react-router-dom'
+import { memo, useMemo, useCallback, useState, useEffect, useRef } from 'react'
+import { Routes, Route, Link, Navigate, useParams, useLocation } from 'react-router-dom'
 import { ScrambleText } from './components/ScrambleText.jsx'
 import { MediaSlider } from './components/MediaSlider.jsx'
+import { ResponsiveImage } from './components/ResponsiveImage.jsx'
+import { BandcampPlayer } from './components/BandcampPlayer.jsx'
+import { EmbedFacade } from './components/EmbedFacade.jsx'
+import { LiveBlocks } from './components/LiveBlocks.jsx'
+import { AudioPlayerProvider, MiniPlayer } from './components/AudioPlayer.jsx'
 import ScrollToTop from './components/ScrollToTop.jsx'
-
-  const CMS_API = import.meta.env.VITE_CMS_API || 'http://localhost:3000'
-  const CMS_SITE_ID = import.meta.env.VITE_CMS_SITE_ID ? String(import.meta.env.VITE_CMS_SITE_ID).trim() : ''
+import { UpdateToast } from './components/UpdateToast.jsx'
+import { useContentRefresh } from './hooks/useContentRefresh.js'
+import { useAudioPlayer } from './hooks/useAudioPlayer.js'
+import { SECTION_SLUGS, buildSiteData, indexSectionsBySlug, latestUpdatedAt, liveBlocksOf, sectionsUrl, withSectionFallbacks } from './cms/normalize.js'
+import { createLimiter, fetchWithRetry } from './cms/fetch.js'
+import { DEFAULT_PAGE_SIZE, fetchAllPosts } from './cms/posts.js'
+import { checksumOf, createCacheStore } from './cms/cache.js'
+import { withBuildAssets } from './cms/media.js'
+import { PREVIEW_PARAM, clearPreviewToken, readPreviewToken } from './cms/preview.js'
+import { formatIssue } from './cms/schema.js'
+import { SITE } from './site/active.js'
+import { applyHead, buildRouteHead } from './site/head.js'
+import { liveProjectPath, releasePath, releaseSlug, resolveLiveSlug } from './site/routes.js'
+import { suggestRoutes } from './site/suggest.js'
+import { buildPlaylist } from './site/playlist.js'
+import { normalizeBioHtml } from './site/html.js'
+
+  // In dev the default is the local mock CMS (npm run mock:cms)
+  const CMS_API = import.meta.env.VITE_CMS_API || (import.meta.env.DEV ? 'http://localhost:3000' : SITE.cmsApi)
+  const CMS_SITE_ID = SITE.siteId
 
 const DEBUG_CMS =
   import.meta.env.VITE_DEBUG_CMS != null
@@ -23,37 +45,28 @@ const debugLog = (...args) => {
   console.log('[cms]', ...args)
 }
 
-const CACHE_TTL = 1 * 60 * 1000 // 1 minute (reduced for faster updates)
-const BOOTSTRAP_CACHE_KEY = `cms_bootstrap_v2_${CMS_SITE_ID || 'auto'}`
-
-const getCachedEntry = (key) => {
-  try {
-    const cached = sessionStorage.getItem(key)
-    if (!cached) return null
-    const { data, timestamp } = JSON.parse(cached)
-    if (typeof timestamp !== 'number') return null
-    return { data, timestamp }
-  } catch {
-    return null
-  }
+const parseNumber = (val, fallback = 0) => {
+  const n = Number(val)
+  return Number.isFinite(n) ? n : fallback
 }
 
-const getCachedFresh = (key) => {
-  const entry = getCachedEntry(key)
-  if (!entry) return null
-  if (Date.now() - entry.timestamp > CACHE_TTL) return null
-  return entry.data
-}
+// Per-attempt timeout and retry budget for CMS requests (retries only on network errors, 429 and 5xx).
+const CMS_TIMEOUT_MS = parseNumber(import.meta.env.VITE_CMS_TIMEOUT_MS, 8000)
+const CMS_RETRIES = parseNumber(import.meta.env.VITE_CMS_RETRIES, 2)
+// Single attempt budget for the conditional "anything changed?" probe (see cmsUnchanged)
+const CMS_PROBE_TIMEOUT_MS = Math.min(CMS_TIMEOUT_MS, 3000)
+// /posts page size and max CMS requests in flight across all sections.
+const CMS_PAGE_SIZE = parseNumber(import.meta.env.VITE_CMS_PAGE_SIZE, DEFAULT_PAGE_SIZE)
+const CMS_CONCURRENCY = parseNumber(import.meta.env.VITE_CMS_CONCURRENCY, 4)
 
-const getCachedAny = (key) => getCachedEntry(key)?.data ?? null
+// Opt-in live refresh: poll interval in ms (0 = off) and/or a CMS Server-Sent Events URL.
+const CMS_REFRESH_MS = parseNumber(import.meta.env.VITE_CMS_REFRESH_MS, 0)
+const CMS_EVENTS_URL = String(import.meta.env.VITE_CMS_EVENTS_URL || '').trim()
+const CMS_REFRESH_TOAST = String(import.meta.env.VITE_CMS_REFRESH_TOAST || '').toLowerCase() === 'true'
 
-const setCached = (key, data) => {
-  try {
-    sessionStorage.setItem(key, JSON.stringify({ data, timestamp: Date.now() }))
-  } catch {
-    // ignore quota errors
-  }
-}
+// Last good dataset, kept in localStorage until a revalidation returns different content.
+const BOOTSTRAP_CACHE_KEY = `cms_bootstrap_v3_${SITE.key}_${CMS_SITE_ID || 'auto'}`
+const cacheStore = createCacheStore()
 
   const withSiteId = (url) => {
     if (!CMS_SITE_ID) return url
@@ -62,14 +75,17 @@ const setCached = (key, data) => {
     return u.toString()
   }
 
-  const fetchJson = async (url, options = {}) => {
+  const fetchCms = async (url, { previewToken, timeoutMs = CMS_TIMEOUT_MS, retries = CMS_RETRIES, ...options } = {}) => {
   debugLog('fetch', url)
     const urlWithSiteId = withSiteId(url)
     const method = String(options.method || 'GET').toUpperCase()
 
-    // Solo hacer cache-busting cuando lo pedimos explícitamente.
+    // Solo hacer cache-busting cuando lo pedimos explícitamente (o en modo preview).
     const urlObj = new URL(urlWithSiteId)
-    const bypassCache = CMS_NO_CACHE || DEBUG_CMS
+    if (previewToken && urlObj.pathname.endsWith('/posts')) {
+      urlObj.searchParams.set(PREVIEW_PARAM, previewToken)
+    }
+    const bypassCache = CMS_NO_CACHE || DEBUG_CMS || !!previewToken
     if (bypassCache && method === 'GET' && !urlObj.searchParams.has('_t')) {
       urlObj.searchParams.set('_t', Date.now().toString())
     }
@@ -92,158 +108,108 @@ const setCached = (key, data) => {
       delete fetchOptions.cache
     }
 
-    const res = await fetch(urlObj.toString(), fetchOptions)
-  if (!res.ok) throw new Error(`HTTP ${res.status}`)
-  return await res.json()
+    return await fetchWithRetry(urlObj.toString(), {
+      ...fetchOptions,
+      timeoutMs,
+      retries,
+      onRetry: (err, { attempt, delay }) => debugLog('retry', attempt, `in ${delay}ms`, url, err?.message)
+    })
 }
 
-const isExternalHref = (href) => /^(https?:\/\/|mailto:|tel:)/i.test(String(href || '').trim())
-
-const firstBlockOfType = (blocks, type) => (Array.isArray(blocks) ? blocks.find(b => b?.type === type) : null)
-
-const slideshowUrls = (block) => {
-  const images = block?.metadata?.images
-  if (!Array.isArray(images)) return []
-  return images.map(i => i?.url).filter(Boolean)
+// `etags` (optional) collects each response's ETag by request URL, null when the CMS sent none.
+const fetchJson = async (url, { etags, ...options } = {}) => {
+  const res = await fetchCms(url, options)
+  if (etags) etags[url] = res.headers.get('ETag')
+  return await res.json()
 }
 
-const buildDataFromCms = async () => {
-  // 1) Resolve section IDs by slug
-  const sectionsUrl = new URL(`${CMS_API}/sections`)
-  sectionsUrl.searchParams.set('limit', '200')
-  if (CMS_SITE_ID) {
-    sectionsUrl.searchParams.set('siteId', CMS_SITE_ID.trim())
-  }
-  const sections = await fetchJson(sectionsUrl.toString())
-  const bySlug = {}
-  sections.forEach(s => { if (s?.slug) bySlug[s.slug] = s })
-
-  const requireSection = (slug) => {
-    const s = bySlug[slug]
-    if (!s) throw new Error(`Missing section: ${slug}`)
-    return s
-  }
-
-  const landingSection = requireSection('landing')
-  const releasesSection = requireSection('releases')
-  const liveSection = requireSection('live')
-  // Live detail is unified into the same "live" section (one post per slug).
-  const bioSection = requireSection('bio')
-  const contactSection = requireSection('contact')
-
-  const fetchPosts = async (sectionId) => {
-    const url = new URL(`${CMS_API}/posts`)
-    url.searchParams.set('sectionId', sectionId)
-    url.searchParams.set('page', '1')
-    url.searchParams.set('limit', '1000')
-    if (CMS_SITE_ID) {
-      url.searchParams.set('siteId', CMS_SITE_ID.trim())
-    }
-    const data = await fetchJson(url.toString())
-    return data.posts || []
-  }
+const sameEtags = (a, b) =>
+  !!a && !!b && Object.keys(a).length === Object.keys(b).length && Object.entries(a).every(([url, etag]) => b[url] === etag)
+
+// Re-asks for everything a previous revalidation fetched, with If-None-Match: true when the CMS
+// answers 304 to every request, so nothing needs rebuilding. Needs ETags on every response (exposed
+// through Access-Control-Expose-Headers) and If-None-Match allowed by CORS; otherwise false.
+// A rejected preflight looks like a network error, so the probe gets one short attempt: any
+// failure falls through to the full rebuild.
+const cmsUnchanged = async (etags) => {
+  const entries = Object.entries(etags || {})
+  if (!entries.length || entries.some(([, etag]) => !etag)) return false
+  const limit = createLimiter(CMS_CONCURRENCY)
+  const statuses = await Promise.all(entries.map(([url, etag]) => limit(async () => {
+    const res = await fetchCms(url, { headers: { 'If-None-Match': etag }, timeoutMs: CMS_PROBE_TIMEOUT_MS, retries: 0 })
+    if (res.status !== 304) res.body?.cancel()
+    return res.status
+  })))
+  return statuses.every((status) => status === 304)
+}
 
-  // Landing: single post with slideshow block
-  const landingPosts = await fetchPosts(landingSection.id)
-  const landingPost = landingPosts[0]
-  const landingSlideshow = firstBlockOfType(landingPost?.blocks, 'slideshow')
-  const landingSlides = landingSlideshow ? slideshowUrls(landingSlideshow) : []
-
-  // Releases: ordered grid with image + link blocks
-  const releasePosts = await fetchPosts(releasesSection.id)
-  const releases = releasePosts.map(p => {
-    const img = firstBlockOfType(p.blocks, 'image')?.content || ''
-    const href = firstBlockOfType(p.blocks, 'link')?.content || ''
-    return {
-      href,
-      title: p.title,
-      image: img,
-      order: p.order ?? 0
-    }
-  }).filter(r => r.href && r.title).sort((a,b) => (a.order ?? 0) - (b.order ?? 0))
-
-  // Live grid: ordered cards with slug + thumbnail image (image block)
-  const livePosts = await fetchPosts(liveSection.id)
-  const liveProjects = livePosts.map(p => {
-    const img = firstBlockOfType(p.blocks, 'image')?.content || ''
-    return {
-      slug: p.slug,
-      title: p.title,
-      image: img,
-      order: p.order ?? 0
-    }
-  }).filter(r => r.slug).sort((a,b) => (a.order ?? 0) - (b.order ?? 0))
-
-  // Live details: map by slug to (title, video, primaryImages, secondaryImages)
-  // Built from the SAME live posts (so slug is unique and the grid links to the same entity).
-  const liveDetailMap = livePosts.reduce((acc, p) => {
-    const slideshows = Array.isArray(p.blocks) ? p.blocks.filter(b => b?.type === 'slideshow') : []
-    const primaryImages = slideshows[0] ? slideshowUrls(slideshows[0]) : null
-    const secondaryImages = slideshows[1] ? slideshowUrls(slideshows[1]) : null
-    const videoBlock = firstBlockOfType(p.blocks, 'video')
-    const videoSrc = String(videoBlock?.content || '').trim()
-    const video = videoSrc
-      ? (/(youtube\.com|youtu\.be|vimeo\.com|player\.vimeo\.com)/i.test(videoSrc)
-          ? { type: 'iframe', src: videoSrc, title: p.title }
-          : { type: 'video', src: videoSrc, title: p.title })
-      : null
-
-    acc[p.slug] = { title: p.title || p.slug, video, primaryImages, secondaryImages }
-    return acc
-  }, {})
-
-  // Bio: ordered sections (title + html)
-  const bioPosts = await fetchPosts(bioSection.id)
-  const bioSections = bioPosts
-    .map(p => {
-      const html = firstBlockOfType(p.blocks, 'text')?.content || ''
-      return { order: p.order ?? 0, title: p.title, html }
-    })
-    .filter(s => s.title)
-    .sort((a,b) => (a.order ?? 0) - (b.order ?? 0))
-
-  // Contact: ordered links (title + link block)
-  const contactPosts = await fetchPosts(contactSection.id)
-  const contactLinks = contactPosts
-    .map(p => {
-      const href = firstBlockOfType(p.blocks, 'link')?.content || ''
-      return { order: p.order ?? 0, label: p.title, href, is_external: isExternalHref(href) }
-    })
-    .filter(l => l.label && l.href)
-    .sort((a,b) => (a.order ?? 0) - (b.order ?? 0))
+// Static snapshot written by scripts/generate_bootstrap.mjs on every vercel-build.
+const STATIC_BOOTSTRAP_URL = SITE.bootstrapPath || '/posts_bootstrap.json'
 
-  return { landingSlides, releases, liveProjects, liveDetailMap, bioSections, contactLinks }
-}
+const isBootstrapShape = (data) =>
+  !!data && Array.isArray(data.landingSlides) && Array.isArray(data.releases)
 
-const parseNumber = (val, fallback = 0) => {
-  const n = Number(val)
-  return Number.isFinite(n) ? n : fallback
+const fetchStaticBootstrap = async () => {
+  try {
+    const res = await fetch(STATIC_BOOTSTRAP_URL, { credentials: 'omit' })
+    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    const data = await res.json()
+    if (!isBootstrapShape(data)) throw new Error('invalid bootstrap shape')
+    debugLog('static bootstrap loaded')
+    return data
+  } catch (err) {
+    debugLog('static bootstrap unavailable', err?.message)
+    return null
+  }
 }
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+// Returns { data, sectionErrors }. Only the /sections lookup is fatal; each section's posts are
+// loaded in isolation so a failing "bio" still lets releases and live render. `etags` (optional)
+// collects the ETag of every response for a later cmsUnchanged() probe.
+const buildDataFromCms = async ({ previewToken = null, etags } = {}) => {
+  // 1) Resolve section IDs by slug
+  const sections = await fetchJson(sectionsUrl(CMS_API, { siteId: CMS_SITE_ID }), { etags })
+  const bySlug = indexSectionsBySlug(sections)
+
+  const limit = createLimiter(CMS_CONCURRENCY)
+  const fetchPosts = (sectionId) => fetchAllPosts({
+    fetchJson: (url) => fetchJson(url, { previewToken, etags }),
+    base: CMS_API,
+    siteId: CMS_SITE_ID,
+    sectionId,
+    pageSize: CMS_PAGE_SIZE,
+    limit
+  })
 
-const inferVideo = (row) => {
-  const videoSrc = String(row.video_src || '').trim()
-  if (!videoSrc) return null
+  // 2) Fetch every section's posts concurrently (live detail is unified into the same "live" section)
+  const postsBySection = {}
+  const sectionErrors = {}
+  await Promise.all(SECTION_SLUGS.map(async (slug) => {
+    try {
+      const section = bySlug[slug]
+      if (!section) throw new Error(`Missing section: ${slug}`)
+      postsBySection[slug] = await fetchPosts(section.id)
+    } catch (err) {
+      sectionErrors[slug] = err?.message || String(err)
+      // eslint-disable-next-line no-console
+      console.warn(`[cms] section "${slug}" failed:`, sectionErrors[slug])
+    }
+  }))
 
-  // Backward compatible: if video_type exists, respect it.
-  const explicitType = String(row.video_type || '').trim().toLowerCase()
-  if (explicitType && explicitType !== 'none') {
-    return { type: explicitType, src: videoSrc, title: row.video_title || row.title }
+  if (Object.keys(sectionErrors).length === SECTION_SLUGS.length) {
+    throw new Error('All CMS sections failed')
   }
 
-  // Infer type from URL / extension
-  const lower = videoSrc.toLowerCase()
-  const isLocalVideo = /\.(mp4|mov|webm|ogg)(\?.*)?$/.test(lower) || lower.startsWith('/images/') || lower.startsWith('/videos/') || lower.startsWith('/')
-  const isIframe = /youtube\.com|youtu\.be|vimeo\.com|player\.vimeo\.com/.test(lower)
-
-  if (isIframe) return { type: 'iframe', src: videoSrc, title: row.video_title || row.title }
-  if (isLocalVideo) return { type: 'video', src: videoSrc, title: row.video_title || row.title }
-
-  return null
+  // 3) Map posts onto the site data model
+  const { data, issues } = buildSiteData(postsBySection)
+  if (issues.length) {
+    // eslint-disable-next-line no-console
+    console.warn(`[cms] ${issues.length} content issue(s):\n${issues.map(formatIssue).join('\n')}`)
+  }
+  return { data, sectionErrors }
 }
 
-const Layout = memo(({ children }) => {
+const Layout = memo(({ children, dataSource, isPreview = false, onExitPreview, updatedStamp = 0 }) => {
   const [showBackToTop, setShowBackToTop] = useState(false)
   const location = useLocation()
   const isLanding = location?.pathname === '/'
@@ -321,28 +287,36 @@ const Layout = memo(({ children }) => {
 
   return (
     <>
+      {isPreview && (
+        <div className="preview-banner" role="status">
+          <span>preview · showing unpublished drafts</span>
+          <button type="button" onClick={onExitPreview}>exit preview</button>
+        </div>
+      )}
       <nav className="main-nav">
         <div className="main-nav-left">
           <Link to="/" className="scramble"></Link>
       </div>
         <div className="main-nav-right">
           <Link to="/releases">
-            <ScrambleText delay={0}>releases</ScrambleText>
+            <ScrambleText delay={0}>{SITE.nav.releases}</ScrambleText>
           </Link>
           <Link to="/live">
-            <ScrambleText delay={100}>live</ScrambleText>
+            <ScrambleText delay={100}>{SITE.nav.live}</ScrambleText>
           </Link>
           <Link to="/bio">
-            <ScrambleText delay={200}>bio</ScrambleText>
+            <ScrambleText delay={200}>{SITE.nav.bio}</ScrambleText>
           </Link>
           <Link to="/contact">
-            <ScrambleText delay={300}>contact</ScrambleText>
+            <ScrambleText delay={300}>{SITE.nav.contact}</ScrambleText>
           </Link>
       </div>
       </nav>
-      <div className={`page-content${isLanding ? ' is-landing' : ''}`}>
+      <div className={`page-content${isLanding ? ' is-landing' : ''}`} data-source={dataSource || undefined}>
         {children}
       </div>
+      <MiniPlayer />
+      <UpdateToast stamp={updatedStamp} />
       {showBackToTop && (
         <button id="backToTop" onClick={scrollToTop}>
           ↑ back to top
@@ -354,6 +328,21 @@ const Layout = memo(({ children }) => {
 
 Layout.displayName = 'Layout'
 
+// Shown instead of a page whose CMS section failed and has nothing cached to fall back on.
+const SectionGuard = memo(({ label, error, isEmpty, children }) => {
+  if (!error || !isEmpty) return children
+  return (
+    <div className="container section-error" role="status" data-section={label}>
+      <div className="slider-placeholder">
+        <strong>{label} is unavailable right now</strong>
+        <small>please try again in a moment</small>
+      </div>
+    </div>
+  )
+})
+
+SectionGuard.displayName = 'SectionGuard'
+
 const parseRichText = (paragraph) => {
   // Supports link tokens: [[Text|https://...]] and line breaks via [BR]
   const tokens = paragraph.split(/(\[\[.+?\|https?:\/\/[^\]]+\]\]|\[BR\])/g)
@@ -385,7 +374,10 @@ const splitLines = (text = '') => {
   return text.split(/(?:\r?\n|\\n)/)
 }
 
-const Landing = memo(({ slides }) => {
+// `sizes` for the grid cards: one column on phones, three-ish on desktop.
+const GRID_IMAGE_SIZES = '(max-width: 768px) 100vw, 33vw'
+
+const Landing = memo(({ slides, player, imageMeta }) => {
   const hasSlides = slides && slides.length > 0
   useEffect(() => {
     debugLog('Landing slides', { count: slides?.length || 0, slides })
@@ -393,7 +385,12 @@ const Landing = memo(({ slides }) => {
   return (
     <div className="landing-hero">
       {hasSlides ? (
-        <MediaSlider images={slides} intervalMs={6000} alt="landing slideshow" showNavigation />
+        <MediaSlider images={slides} imageMeta={imageMeta} sizes="100vw" intervalMs={6000} alt="landing slideshow" showNavigation />
+      ) : null}
+      {player ? (
+        <div className="landing-player">
+          <BandcampPlayer {...player} size="small" />
+        </div>
       ) : null}
     </div>
   )
@@ -401,54 +398,135 @@ const Landing = memo(({ slides }) => {
 
 Landing.displayName = 'Landing'
 
-const Releases = memo(({ releases }) => {
-  const [loadedByKey, setLoadedByKey] = useState(() => ({}))
+const Releases = memo(({ releases, imageMeta = {} }) => (
+  <div className="releases-page">
+    <div className="projects-grid releases-grid">
+      {releases.map((release, index) => {
+        const { href, title, image } = release
+        // The card opens the release page; the buy link still goes straight to Bandcamp
+        return (
+          <div key={href || `${title}-${index}`} className="release-card">
+            <Link to={releasePath(releaseSlug(release))} className="release-card-link">
+              <ResponsiveImage
+                src={image}
+                meta={imageMeta[image]}
+                sizes={GRID_IMAGE_SIZES}
+                alt={title}
+                loading={index < 4 ? "eager" : "lazy"}
+                fetchPriority={index < 2 ? "high" : "auto"}
+              />
+            </Link>
+            {/* The image placeholder reserves its box, so the caption can render (and prerender) right away */}
+            <div className="project-caption">{title}</div>
+            <a href={href} target="_blank" rel="noopener noreferrer" className="release-buy">buy ↗</a>
+          </div>
+        )
+      })}
+    </div>
+  </div>
+))
 
-  const markLoaded = useCallback((key) => {
-    if (!key) return
-    setLoadedByKey((prev) => (prev[key] ? prev : { ...prev, [key]: true }))
-  }, [])
+Releases.displayName = 'Releases'
+
+// "2025-09-01" -> "1 September 2025", fixed locale and zone so prerendered HTML hydrates cleanly.
+const formatReleaseDate = (date) => {
+  const parsed = new Date(`${date}T00:00:00Z`)
+  if (Number.isNaN(parsed.getTime())) return date
+  return parsed.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+}
+
+const ReleaseDetail = memo(({ releases, dataLoaded, error, imageMeta = {}, notFound }) => {
+  const { releaseSlug: slug } = useParams()
+  const release = releases.find((r) => releaseSlug(r) === slug)
+  const player = useAudioPlayer()
+
+  if (!dataLoaded) {
+    return <div className="container release-detail" style={{ minHeight: '100vh' }} />
+  }
+
+  if (!release) {
+    return error ? <SectionGuard label="releases" error={error} isEmpty /> : notFound
+  }
+
+  const { href, title, image, releaseDate, label, catalogNumber, albumId, trackId, tracklist = [], credits = [], body = [], previews = [] } = release
+  const isCurrent = player?.current?.releaseSlug === slug
+  const facts = [
+    releaseDate ? ['released', formatReleaseDate(releaseDate)] : null,
+    label ? ['label', label] : null,
+    catalogNumber ? ['cat. no.', catalogNumber] : null
+  ].filter(Boolean)
 
   return (
-    <div className="releases-page">
-      <div className="projects-grid releases-grid">
-        {releases.map(({ href, title, image }, index) => (
-          // Render caption only after the image has loaded (prevents text-before-image flashes on mobile)
-          <a
-            key={href || `${title}-${index}`}
-            href={href}
-            target="_blank"
-            rel="noopener noreferrer"
-            className="release-card"
+    <div className="container release-detail">
+      <div className="release-detail-cover">
+        <ResponsiveImage
+          src={image}
+          meta={imageMeta[image]}
+          sizes="(max-width: 768px) 100vw, 45vw"
+          alt={title}
+          loading="eager"
+          fetchPriority="high"
+        />
+      </div>
+      <div className="release-detail-info element data">
+        <h2 className="project-title">
+          <ScrambleText delay={0}>{title}</ScrambleText>
+        </h2>
+        {facts.length ? (
+          <dl className="release-facts">
+            {facts.map(([term, value]) => (
+              <div key={term}>
+                <dt>{term}</dt>
+                <dd>{value}</dd>
+              </div>
+            ))}
+          </dl>
+        ) : null}
+        <BandcampPlayer url={href} albumId={albumId} trackId={trackId} title={title} artwork={false} className="release-player" />
+        {previews.length && player ? (
+          <button
+            type="button"
+            className="release-preview-button"
+            onClick={() => (isCurrent ? player.toggle() : player.playRelease(slug))}
           >
-            <picture>
-              <img 
-                src={image} 
-                alt={title} 
-                loading={index < 4 ? "eager" : "lazy"}
-                fetchpriority={index < 2 ? "high" : "auto"}
-                onLoad={() => markLoaded(href)}
-                onError={() => markLoaded(href)}
-              />
-            </picture>
-            {loadedByKey[href] ? <div className="project-caption">{title}</div> : null}
-          </a>
+            {isCurrent && player.isPlaying ? '❚❚ pause preview' : `▶ play ${previews.length > 1 ? 'previews' : 'preview'}`}
+          </button>
+        ) : null}
+        {tracklist.length ? (
+          <ol className="release-tracklist">
+            {tracklist.map((track, index) => (
+              <li key={`${index}-${track.title}`}>
+                <span>{track.title}</span>
+                {track.duration ? <span className="release-track-duration">{track.duration}</span> : null}
+              </li>
+            ))}
+          </ol>
+        ) : null}
+        {credits.length ? (
+          <ul className="release-credits">
+            {credits.map((credit, index) => (
+              <li key={`${index}-${credit.name}`}>
+                {credit.role ? <span className="release-credit-role">{credit.role}</span> : null}
+                {credit.name}
+              </li>
+            ))}
+          </ul>
+        ) : null}
+        {body.map((html, index) => (
+          <div key={index} className="release-text" dangerouslySetInnerHTML={{ __html: normalizeBioHtml(html) }} />
         ))}
+        <div className="release-detail-links">
+          <a href={href} target="_blank" rel="noopener noreferrer" className="release-buy-link">buy ↗</a>
+          <Link to="/releases">all releases</Link>
+        </div>
       </div>
     </div>
   )
 })
 
-Releases.displayName = 'Releases'
-
-const Live = memo(({ liveProjects }) => {
-  const [loadedByKey, setLoadedByKey] = useState(() => ({}))
-
-  const markLoaded = useCallback((key) => {
-    if (!key) return
-    setLoadedByKey((prev) => (prev[key] ? prev : { ...prev, [key]: true }))
-  }, [])
+ReleaseDetail.displayName = 'ReleaseDetail'
 
+const Live = memo(({ liveProjects, imageMeta = {} }) => {
   const resolveClass = useCallback((slug) => {
     if (!slug) return 'project-link live-card'
     if (slug.includes('licitir')) return 'project-link project-licitir live-card'
@@ -462,19 +540,17 @@ const Live = memo(({ liveProjects }) => {
         {liveProjects.map(({ slug, title, image }) => (
         <Link
           key={slug}
-          to={`/${slug}`}
+          to={liveProjectPath(slug)}
           className={resolveClass(slug)}
         >
-          <picture>
-            <img
-              src={image}
-              alt={title}
-              loading="lazy"
-              onLoad={() => markLoaded(slug)}
-              onError={() => markLoaded(slug)}
-            />
-          </picture>
-          {loadedByKey[slug] ? <div className="project-caption">{title}</div> : null}
+          <ResponsiveImage
+            src={image}
+            meta={imageMeta[image]}
+            sizes={GRID_IMAGE_SIZES}
+            alt={title}
+            loading="lazy"
+          />
+          <div className="project-caption">{title}</div>
         </Link>
       ))}
     </div>
@@ -483,16 +559,6 @@ const Live = memo(({ liveProjects }) => {
 
 Live.displayName = 'Live'
 
-// Normalizar HTML para reducir espacio excesivo de saltos de línea
-const normalizeBioHtml = (html) => {
-  if (!html) return html
-  // Reducir <p><br></p> a <p><br></p> con clase especial para menos margen
-  // O mejor: convertir <p><br></p> a solo <br> con un wrapper
-  return html
-    .replace(/<p><br\s*\/?><\/p>/gi, '<br class="bio-line-break" />')
-    .replace(/<p>\s*<br\s*\/?>\s*<\/p>/gi, '<br class="bio-line-break" />')
-}
-
 const Bio = memo(({ sections }) => {
   return (
     <div className="container bio-container">
@@ -536,17 +602,17 @@ const Contact = memo(({ links }) => {
               </a>
             </div>
           ))}
-          <div className="element data instagram-widget">
-            <iframe 
-              src="https://www.instagram.com/prenatal_amygdala/embed/"
-              title="Instagram @prenatal_amygdala"
-              frameBorder="0"
-              allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-              allowFullScreen
-              loading="lazy"
-              className="instagram-embed"
-            />
-          </div>
+          {SITE.instagram ? (
+            <div className="element data instagram-widget">
+              <EmbedFacade
+                provider="instagram"
+                src={`https://www.instagram.com/${SITE.instagram}/embed/`}
+                title={`Instagram @${SITE.instagram}`}
+                action={`show @${SITE.instagram} on Instagram`}
+                className="instagram-embed"
+              />
+            </div>
+          ) : null}
         </div>
       </div>
     </div>
@@ -555,121 +621,89 @@ const Contact = memo(({ links }) => {
 
 Contact.displayName = 'Contact'
 
-const LiveDetail = memo(({ primaryImages, secondaryImages, video }) => {
-  const renderSliderOrPlaceholder = (slider, placeholder) => {
-    if (!slider || slider.length === 0) {
-      return (
-        <div className="slider-placeholder">
-          <strong>{placeholder}</strong>
-        </div>
-      )
-    }
+// The post's blocks in CMS order (src/components/LiveBlocks.jsx)
+const LiveDetail = memo(({ blocks, title, imageMeta }) => (
+  <div className="project-container project-live-detail">
+    <LiveBlocks blocks={blocks} title={title} imageMeta={imageMeta} className="project-detail-content" />
+  </div>
+))
 
-    return (
-      <MediaSlider
-        images={slider}
-        intervalMs={5000}
-        alt={placeholder}
-        showNavigation={true}
-      />
-    )
-  }
+LiveDetail.displayName = 'LiveDetail'
 
-  const renderVideoSection = () => {
-    // eslint-disable-next-line no-console
-    console.log('[LiveDetail] video', video)
-    if (!video) {
-      return (
+// Rendered inside Layout for any path that matches no page. Until the data has loaded a missing
+// slug may still turn up, so that state is shown as loading rather than "not found".
+const NotFound = memo(({ dataLoaded, liveProjects = [], releases = [] }) => {
+  const { pathname } = useLocation()
+  const suggestions = useMemo(
+    () => (dataLoaded ? suggestRoutes(pathname, { liveProjects, releases }) : []),
+    [dataLoaded, pathname, liveProjects, releases]
+  )
+
+  if (!dataLoaded) {
+    return (
+      <div className="container not-found" role="status">
         <div className="slider-placeholder">
-          <strong>Live video coming soon</strong>
-          <small>waiting on footage</small>
+          <strong>loading…</strong>
         </div>
-      )
-    }
-
-    if (video.type === 'iframe') {
-      return (
-        <iframe
-          className="project-video"
-          src={video.src}
-          title={video.title}
-          frameBorder="0"
-          allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-          allowFullScreen
-          loading="lazy"
-        />
-      )
-    }
-
-    if (video.type === 'video') {
-      return (
-        <video
-          className="project-video"
-          src={video.src}
-          controls
-          preload="metadata"
-          playsInline
-          onError={(e) => {
-            // eslint-disable-next-line no-console
-            console.warn('[LiveDetail] video failed', e?.currentTarget?.src, e?.currentTarget?.error)
-          }}
-        />
-      )
-    }
-
-    return null
+      </div>
+    )
   }
 
   return (
-    <div className="project-container project-live-detail">
-      <div className="project-detail-content">
-        <div className="element data">
-          <div className="performance-gallery">
-            {renderSliderOrPlaceholder(primaryImages, 'slideshow 1')}
-          </div>
-        </div>
-        <div className="media-container">
-          <div className="image-section">
-            {renderSliderOrPlaceholder(secondaryImages, 'slideshow 2')}
-          </div>
-          <div className="video-section">
-            {renderVideoSection()}
+    <div className="container not-found">
+      <div className="slider-placeholder">
+        <strong>nothing here</strong>
+        <small><code>{pathname}</code> doesn't exist</small>
+        {suggestions.length ? (
+          <div className="not-found-suggestions">
+            <span>did you mean</span>
+            <ul>
+              {suggestions.map((s) => (
+                <li key={s.to || s.href}>
+                  {s.to
+                    ? <Link to={s.to}>{s.label}</Link>
+                    : <a href={s.href} target="_blank" rel="noopener noreferrer">{s.label}</a>}
+                </li>
+              ))}
+            </ul>
           </div>
-        </div>
+        ) : null}
+        <Link to="/" className="not-found-home">back home</Link>
       </div>
     </div>
   )
 })
 
-LiveDetail.displayName = 'LiveDetail'
+NotFound.displayName = 'NotFound'
 
-const Project = memo(({ liveDetailMap, dataLoaded }) => {
+const Project = memo(({ liveDetailMap, slugRedirects, dataLoaded, error, imageMeta, notFound }) => {
   const { projectSlug } = useParams()
   const projectData = liveDetailMap[projectSlug]
+  // Renamed project: forward to its current slug instead of the grid
+  const renamedTo = projectData ? null : resolveLiveSlug(projectSlug, liveDetailMap, slugRedirects)
 
-  useEffect(() => {
-    // Only redirect if data has finished loading AND project is not found
-    if (dataLoaded && projectSlug && !projectData) {
-      window.location.href = '/#/live'
-    }
-  }, [projectSlug, projectData, dataLoaded])
+  if (renamedTo) return <Navigate to={liveProjectPath(renamedTo)} replace />
 
   // Show loading state while data is being fetched
   if (!dataLoaded) {
     return <div className="project-container" style={{ minHeight: '100vh' }} />
   }
 
-  if (!projectData) return null
+  // A failed "live" section is not "not found": keep the URL so a reload can recover
+  if (!projectData) {
+    return error ? <SectionGuard label="live" error={error} isEmpty /> : notFound
+  }
 
   return (
-    <div className={`project-container project-${projectSlug}`}>
+    <div className={`project-container live-project-page project-${projectSlug}`}>
       <h2 className="project-title">
         <ScrambleText delay={0}>{projectData.title}</ScrambleText>
       </h2>
       <LiveDetail
-        primaryImages={projectData.primaryImages}
-        secondaryImages={projectData.secondaryImages}
-        video={projectData.video}
+        key={projectSlug}
+        blocks={liveBlocksOf(projectData)}
+        title={projectData.title}
+        imageMeta={imageMeta}
       />
     </div>
   )
@@ -677,66 +711,229 @@ const Project = memo(({ liveDetailMap, dataLoaded }) => {
 
 Project.displayName = 'Project'
 
-export default function App() {
-  const [releases, setReleases] = useState([])
-  const [liveProjects, setLiveProjects] = useState([])
-  const [liveDetailMap, setLiveDetailMap] = useState({})
-  const [bioSections, setBioSections] = useState([])
-  const [contactLinks, setContactLinks] = useState([])
-  const [landingSlides, setLandingSlides] = useState([])
-  const [dataLoaded, setDataLoaded] = useState(false)
+// Live details used to live at the top level (/:slug): forward known (or renamed) slugs to
+// /live/:slug; anything else is a 404.
+const LegacyProjectRedirect = ({ liveDetailMap, slugRedirects, dataLoaded, notFound }) => {
+  const { projectSlug } = useParams()
+  const slug = resolveLiveSlug(projectSlug, liveDetailMap, slugRedirects)
+  if (slug) return <Navigate to={liveProjectPath(slug)} replace />
+  return dataLoaded ? notFound : <div className="project-container" style={{ minHeight: '100vh' }} />
+}
+
+// initialData: the bootstrap dataset a page was prerendered from (scripts/prerender.mjs). The
+// first render must reproduce that markup for hydration, so state starts from it.
+export default function App({ initialData = null }) {
+  const [releases, setReleases] = useState(() => initialData?.releases || [])
+  const [liveProjects, setLiveProjects] = useState(() => initialData?.liveProjects || [])
+  const [liveDetailMap, setLiveDetailMap] = useState(() => initialData?.liveDetailMap || {})
+  // Former live slugs → current ones: CMS slug history, overridden by the registry's config
+  const [cmsSlugRedirects, setCmsSlugRedirects] = useState(() => initialData?.slugRedirects || {})
+  const [bioSections, setBioSections] = useState(() => initialData?.bioSections || [])
+  const [contactLinks, setContactLinks] = useState(() => initialData?.contactLinks || [])
+  const [landingSlides, setLandingSlides] = useState(() => initialData?.landingSlides || [])
+  const [landingPlayer, setLandingPlayer] = useState(() => initialData?.landingPlayer || null)
+  // Build-time image metadata (srcset sources, dimensions) keyed by image URL
+  const [imageMeta, setImageMeta] = useState(() => initialData?.images || {})
+  const [dataLoaded, setDataLoaded] = useState(!!initialData)
+  // Which source is currently rendered: 'cache' | 'bootstrap' | 'cms' | 'preview' (null until first paint)
+  const [dataSource, setDataSource] = useState(initialData ? 'bootstrap' : null)
+  // Draft preview token (?preview=<token>); while set, every cache layer is bypassed
+  const [previewToken, setPreviewToken] = useState(() => readPreviewToken())
+  // Per-section CMS failures from the last revalidation, e.g. { bio: 'HTTP 503' }
+  const [sectionErrors, setSectionErrors] = useState({})
+
+  // Increments when a background refresh applied new content (drives the optional toast)
+  const [updatedStamp, setUpdatedStamp] = useState(0)
+  // Dataset currently on screen and its checksum, shared by the initial load and refreshes
+  const renderedRef = useRef({ data: null, checksum: null })
+  // What the persistent cache holds: dataset checksum, CMS ETags and the bootstrap it was built on
+  const cachedRef = useRef({ checksum: null, etags: null, build: null })
+  // Consumed by the first load: prerendered data stands in for the static bootstrap fetch
+  const initialDataRef = useRef(initialData)
+  // This deploy's bootstrap (prerendered or fetched) and its checksum: the source of build-time
+  // assets for CMS data
+  const buildRef = useRef({ data: initialData, checksum: null })
+
+  const applyData = useCallback((data, source, checksum = checksumOf(data)) => {
+    renderedRef.current = { data, checksum }
+    setLandingSlides(data.landingSlides || [])
+    setLandingPlayer(data.landingPlayer || null)
+    setReleases(data.releases || [])
+    setLiveProjects(data.liveProjects || [])
+    setLiveDetailMap(data.liveDetailMap || {})
+    setCmsSlugRedirects(data.slugRedirects || {})
+    setBioSections(data.bioSections || [])
+    setContactLinks(data.contactLinks || [])
+    setImageMeta(data.images || {})
+    setDataSource(source)
+    setDataLoaded(true)
+    debugLog('render from', source)
+  }, [])
+
+  // Rebuild from the CMS and swap in the result only when its checksum differs from what is
+  // rendered. Returns true when new data was applied.
+  const revalidate = useCallback(async (isCancelled = () => false) => {
+    // The cached dataset is on screen and was built on this deploy's bootstrap: if the CMS answers
+    // 304 to every request that produced it, skip the rebuild.
+    const cached = cachedRef.current
+    const build = buildRef.current
+    if (!previewToken && cached.etags && cached.build === build.checksum && cached.checksum === renderedRef.current.checksum) {
+      const unchanged = await cmsUnchanged(cached.etags).catch((err) => {
+        debugLog('conditional check failed', err?.message)
+        return false
+      })
+      if (isCancelled()) return false
+      if (unchanged) {
+        debugLog('cms not modified')
+        setSectionErrors({})
+        return false
+      }
+    }
+
+    const etags = {}
+    const { data: fresh, sectionErrors: errors } = await buildDataFromCms({ previewToken, etags })
+    if (isCancelled()) return false
+    const failed = Object.keys(errors)
+    setSectionErrors(errors)
+
+    // Failed sections keep what is already on screen; only complete, published datasets are cached.
+    const rendered = renderedRef.current
+    // Build-time artifacts (mirrored media URLs, image srcsets) come from this deploy's bootstrap,
+    // never from the rendered dataset, which may be a cache written by an older deploy.
+    const data = withBuildAssets(withSectionFallbacks(fresh, rendered.data, failed), build.data)
+    const checksum = checksumOf(data)
+    const stale = checksum !== cached.checksum || build.checksum !== cached.build || !sameEtags(etags, cached.etags)
+    if (!previewToken && !failed.length && stale) {
+      const entry = { checksum, etags, build: build.checksum }
+      if (cacheStore.write(BOOTSTRAP_CACHE_KEY, data, entry)) cachedRef.current = entry
+    }
+
+    if (rendered.data && checksum === rendered.checksum) {
+      debugLog('cms data unchanged', checksum)
+      return false
+    }
+    applyData(data, previewToken ? 'preview' : 'cms', checksum)
+    return true
+  }, [applyData, previewToken])
+
+  // Per-route <head> from the data the pages render (the prerendered HTML ships the same tags)
+  const { pathname } = useLocation()
+  useEffect(() => {
+    applyHead(buildRouteHead({
+      site: SITE,
+      pathname,
+      data: { landingSlides, releases, liveProjects, liveDetailMap, bioSections, contactLinks },
+      origin: SITE.url || window.location.origin,
+      loading: !dataLoaded
+    }))
+  }, [dataLoaded, pathname, landingSlides, releases, liveProjects, liveDetailMap, bioSections, contactLinks])
 
   useEffect(() => {
+    let cancelled = false
+    const initial = initialDataRef.current
+    initialDataRef.current = null
+    renderedRef.current = initial ? { data: initial, checksum: checksumOf(initial) } : { data: null, checksum: null }
+
     const load = async () => {
-      debugLog('load start')
-
-      // 1) Instant render from cache (only if fresh, < 1 minute old)
-      const cached = getCachedFresh(BOOTSTRAP_CACHE_KEY)
-      if (cached) {
-        debugLog('cache bootstrap (fresh)')
-        setLandingSlides(cached.landingSlides || [])
-        setReleases(cached.releases || [])
-        setLiveProjects(cached.liveProjects || [])
-        setLiveDetailMap(cached.liveDetailMap || {})
-        setBioSections(cached.bioSections || [])
-        setContactLinks(cached.contactLinks || [])
-        setDataLoaded(true)
+      debugLog(previewToken ? 'preview load start' : 'load start')
+
+      // Preview never renders cached or build-time content, only the CMS.
+      if (!previewToken) {
+        // 1) Instant render from the persistent cache (last good dataset, no TTL). A prerendered
+        // page already shows this deploy's dataset, so the cache only replaces it with newer posts.
+        const cached = cacheStore.read(BOOTSTRAP_CACHE_KEY)
+        cachedRef.current = { checksum: cached?.checksum || null, etags: cached?.etags || null, build: cached?.build || null }
+        if (cached?.data && (!initial || latestUpdatedAt(cached.data) > latestUpdatedAt(initial))) {
+          debugLog('cache bootstrap', { savedAt: cached.savedAt, checksum: cached.checksum })
+          applyData(cached.data, 'cache', cached.checksum || undefined)
+        }
       }
 
-      // 2) Always fetch fresh data (with cache busting)
+      // 2) The static bootstrap generated at build time (already here when prerendered). It carries
+      // the build-time assets revalidations need, preview included, and renders when nothing is on
+      // screen yet or the cache is older than this deploy.
+      const bootstrap = initial || await fetchStaticBootstrap()
+      if (cancelled) return
+      buildRef.current = { data: bootstrap, checksum: bootstrap ? checksumOf(bootstrap) : null }
+      const rendered = renderedRef.current.data
+      if (!previewToken && bootstrap && bootstrap !== initial && (!rendered || latestUpdatedAt(bootstrap) > latestUpdatedAt(rendered))) {
+        applyData(bootstrap, 'bootstrap')
+      }
+
+      // 3) Revalidate against the CMS in the background
       try {
-        const data = await buildDataFromCms()
-        setCached(BOOTSTRAP_CACHE_KEY, data)
-
-        setLandingSlides(data.landingSlides || [])
-        setReleases(data.releases || [])
-        setLiveProjects(data.liveProjects || [])
-        setLiveDetailMap(data.liveDetailMap || {})
-        setBioSections(data.bioSections || [])
-        setContactLinks(data.contactLinks || [])
-        setDataLoaded(true)
+        await revalidate(() => cancelled)
         debugLog('load done')
       } catch (err) {
         // eslint-disable-next-line no-console
         console.warn('CMS fetch error:', err?.message)
-        if (!cached) setDataLoaded(false)
+        if (!renderedRef.current.data && !cancelled) setDataLoaded(false)
       }
     }
 
     load()
+    return () => { cancelled = true }
+  }, [applyData, revalidate, previewToken])
+
+  // Opt-in live refresh (polling and/or CMS event stream); route and slide state are untouched
+  // because only the data props change.
+  const refresh = useCallback(async (reason) => {
+    debugLog('refresh', reason)
+    const changed = await revalidate()
+    if (changed && CMS_REFRESH_TOAST) setUpdatedStamp((n) => n + 1)
+  }, [revalidate])
+
+  useContentRefresh({
+    enabled: dataLoaded,
+    intervalMs: CMS_REFRESH_MS,
+    eventsUrl: CMS_EVENTS_URL,
+    onRefresh: refresh
+  })
+
+  const slugRedirects = useMemo(() => ({ ...cmsSlugRedirects, ...(SITE.slugRedirects || {}) }), [cmsSlugRedirects])
+  const notFound = <NotFound dataLoaded={dataLoaded} liveProjects={liveProjects} releases={releases} />
+  // Preview queue for the site-wide player (survives route changes: the provider sits above <Routes>)
+  const playlist = useMemo(() => buildPlaylist(releases), [releases])
+
+  // Leaving preview re-runs the normal cache → bootstrap → CMS load.
+  const exitPreview = useCallback(() => {
+    clearPreviewToken()
+    setSectionErrors({})
+    setPreviewToken(null)
   }, [])
 
   return (
-    <Layout>
-      <ScrollToTop />
-      <Routes>
-        <Route path="/" element={<Landing slides={landingSlides} />} />
-        <Route path="/releases" element={<Releases releases={releases} />} />
-        <Route path="/live" element={<Live liveProjects={liveProjects} />} />
-        <Route path="/bio" element={<Bio sections={bioSections} />} />
-        <Route path="/contact" element={<Contact links={contactLinks} />} />
-        <Route path="/:projectSlug" element={<Project liveDetailMap={liveDetailMap} dataLoaded={dataLoaded} />} />
-      </Routes>
-    </Layout>
+    <AudioPlayerProvider playlist={playlist} storageKey={SITE.key} artist={SITE.name}>
+      <Layout dataSource={dataSource} isPreview={!!previewToken} onExitPreview={exitPreview} updatedStamp={updatedStamp}>
+        <ScrollToTop />
+        <Routes>
+          <Route path="/" element={<Landing slides={landingSlides} player={landingPlayer} imageMeta={imageMeta} />} />
+          <Route path="/releases" element={
+            <SectionGuard label="releases" error={sectionErrors.releases} isEmpty={!releases.length}>
+              <Releases releases={releases} imageMeta={imageMeta} />
+            </SectionGuard>
+          } />
+          <Route path="/releases/:releaseSlug" element={<ReleaseDetail releases={releases} dataLoaded={dataLoaded} error={sectionErrors.releases} imageMeta={imageMeta} notFound={notFound} />} />
+          <Route path="/live" element={
+            <SectionGuard label="live" error={sectionErrors.live} isEmpty={!liveProjects.length}>
+              <Live liveProjects={liveProjects} imageMeta={imageMeta} />
+            </SectionGuard>
+          } />
+          <Route path="/bio" element={
+            <SectionGuard label="bio" error={sectionErrors.bio} isEmpty={!bioSections.length}>
+              <Bio sections={bioSections} />
+            </SectionGuard>
+          } />
+          <Route path="/contact" element={
+            <SectionGuard label="contact" error={sectionErrors.contact} isEmpty={!contactLinks.length}>
+              <Contact links={contactLinks} />
+            </SectionGuard>
+          } />
+          <Route path="/live/:projectSlug" element={<Project liveDetailMap={liveDetailMap} slugRedirects={slugRedirects} dataLoaded={dataLoaded} error={sectionErrors.live} imageMeta={imageMeta} notFound={notFound} />} />
+          <Route path="/:projectSlug" element={<LegacyProjectRedirect liveDetailMap={liveDetailMap} slugRedirects={slugRedirects} dataLoaded={dataLoaded} notFound={notFound} />} />
+          <Route path="*" element={notFound} />
+        </Routes>
+      </Layout>
+    </AudioPlayerProvider>
   )
 }
@@ -0,0 +1,89 @@
+// Bandcamp album/track URLs and the official embedded player (isomorphic).
+// The player is addressed by numeric IDs, which Bandcamp URLs don't contain: they come from the
+// link block's metadata (albumId / trackId) or are looked up at build time by
+// scripts/lib/bandcamp_ids.mjs. Without an ID, BandcampPlayer falls back to a static link card.
+
+const ID_PATTERN = /^\d+$/
+
+// "https://ruego.bandcamp.com/album/rg25?from=x" -> { artist: 'ruego', type: 'album', slug: 'rg25', url }
+// null for anything that is not a *.bandcamp.com album or track page.
+export const parseBandcampUrl = (value) => {
+  let url
+  try {
+    url = new URL(String(value || '').trim())
+  } catch {
+    return null
+  }
+  const host = url.hostname.toLowerCase()
+  if (!/^https?:$/.test(url.protocol) || !host.endsWith('.bandcamp.com')) return null
+  const match = url.pathname.match(/^\/(album|track)\/([^/]+)\/?$/)
+  if (!match) return null
+  const [, type, slug] = match
+  return { artist: host.slice(0, -'.bandcamp.com'.length), type, slug, url: `https://${host}/${type}/${slug}` }
+}
+
+export const isBandcampId = (value) => ID_PATTERN.test(String(value ?? '').trim())
+
+// Link block -> { url, albumId?, trackId? } for the player; null when it is neither a Bandcamp
+// URL nor carries an ID.
+export const toBandcampLink = (block) => {
+  const url = String(block?.content || '').trim()
+  const metadata = block?.metadata || {}
+  const albumId = isBandcampId(metadata.albumId) ? String(metadata.albumId).trim() : ''
+  const trackId = isBandcampId(metadata.trackId) ? String(metadata.trackId).trim() : ''
+  if (!parseBandcampUrl(url) && !albumId && !trackId) return null
+  return { url, ...(albumId ? { albumId } : {}), ...(trackId ? { trackId } : {}) }
+}
+
+export const BANDCAMP_THEMES = {
+  dark: { bgcol: '000000', linkcol: 'ffffff' },
+  light: { bgcol: 'ffffff', linkcol: '0687f5' }
+}
+
+// Player heights Bandcamp documents for the compact layouts.
+export const BANDCAMP_SIZES = { large: 120, small: 42 }
+
+// -> { src, height } for the EmbeddedPlayer iframe, or null without an album/track ID.
+export const bandcampEmbed = ({ albumId, trackId } = {}, { size = 'large', theme = 'dark', artwork = true } = {}) => {
+  const album = isBandcampId(albumId) ? String(albumId).trim() : ''
+  const track = isBandcampId(trackId) ? String(trackId).trim() : ''
+  if (!album && !track) return null
+  const playerSize = BANDCAMP_SIZES[size] ? size : 'large'
+  const colors = BANDCAMP_THEMES[theme] || BANDCAMP_THEMES.dark
+  const params = [
+    album ? `album=${album}` : null,
+    track ? `track=${track}` : null,
+    `size=${playerSize}`,
+    `bgcol=${colors.bgcol}`,
+    `linkcol=${colors.linkcol}`,
+    'tracklist=false',
+    playerSize === 'large' ? `artwork=${artwork ? 'small' : 'none'}` : null,
+    'transparent=true'
+  ].filter(Boolean)
+  return { src: `https://bandcamp.com/EmbeddedPlayer/${params.join('/')}/`, height: BANDCAMP_SIZES[playerSize] }
+}
+
+// Applies fn({ url, albumId?, trackId? }) -> same shape to every Bandcamp source in the dataset:
+// release links (whose IDs sit on the release itself), the landing player and live link blocks.
+export const mapBandcampLinks = (data, fn) => ({
+  ...data,
+  releases: (data.releases || []).map((r) => {
+    const { albumId, trackId } = fn({ url: r.href, albumId: r.albumId, trackId: r.trackId })
+    return { ...r, ...(albumId ? { albumId } : {}), ...(trackId ? { trackId } : {}) }
+  }),
+  ...(data.landingPlayer ? { landingPlayer: fn(data.landingPlayer) } : {}),
+  liveDetailMap: Object.fromEntries(
+    Object.entries(data.liveDetailMap || {}).map(([slug, detail]) => [
+      slug,
+      detail.blocks
+        ? { ...detail, blocks: detail.blocks.map((block) => (block.player ? { ...block, player: fn(block.player) } : block)) }
+        : detail
+    ])
+  )
+})
+
+// ids: the bootstrap's `bandcamp` map ({ [page URL]: { albumId } | { trackId } }) from the build.
+// Sources that already carry an ID from the CMS keep it.
+export const applyBandcampIds = (data, ids = {}) =>
+  mapBandcampLinks(data, (link) =>
+    link.albumId || link.trackId ? link : { ...link, ...(ids[parseBandcampUrl(link.url)?.url] || {}) })
@@ -0,0 +1,109 @@
+// Persistent store for the last good site dataset (localStorage, survives tabs and reloads).
+// Entries never expire: they are only replaced when a revalidation produces a different checksum.
+
+const STORAGE_PREFIX = 'cms_cache_v3:'
+// localStorage is ~5MB per origin (UTF-16, so ~2.5M chars in practice); stay well below it.
+const DEFAULT_MAX_CHARS = 1500000
+
+// window.localStorage, or null where it doesn't exist or can't be used.
+export const getLocalStorage = () => {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null
+  } catch {
+    // Access can throw (privacy mode, sandboxed iframes)
+    return null
+  }
+}
+
+// FNV-1a (32-bit) over the JSON of the dataset: cheap, stable and good enough to tell
+// "same content" from "changed content" without comparing whole objects.
+export const checksumOf = (data) => {
+  const str = JSON.stringify(data ?? null)
+  let hash = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return `${(hash >>> 0).toString(16).padStart(8, '0')}-${str.length.toString(36)}`
+}
+
+export const createCacheStore = ({ storage = getLocalStorage(), maxChars = DEFAULT_MAX_CHARS } = {}) => {
+  const storageKey = (key) => `${STORAGE_PREFIX}${key}`
+
+  const ownKeys = () => {
+    if (!storage) return []
+    const keys = []
+    for (let i = 0; i < storage.length; i++) {
+      const k = storage.key(i)
+      if (k && k.startsWith(STORAGE_PREFIX)) keys.push(k)
+    }
+    return keys
+  }
+
+  const readRaw = (fullKey) => {
+    try {
+      const raw = storage.getItem(fullKey)
+      if (!raw) return null
+      const entry = JSON.parse(raw)
+      if (!entry || typeof entry !== 'object' || !('data' in entry)) return null
+      return entry
+    } catch {
+      return null
+    }
+  }
+
+  // Make room by dropping our other entries, least recently saved first.
+  const evictOthers = (keepKey) => {
+    ownKeys()
+      .filter((k) => k !== keepKey)
+      .map((k) => ({ k, savedAt: readRaw(k)?.savedAt ?? 0 }))
+      .sort((a, b) => a.savedAt - b.savedAt)
+      .forEach(({ k }) => {
+        try {
+          storage.removeItem(k)
+        } catch {
+          // ignore
+        }
+      })
+  }
+
+  return {
+    // -> { data, checksum, savedAt, etags?, build? } | null
+    read(key) {
+      if (!storage) return null
+      return readRaw(storageKey(key))
+    },
+
+    // Returns false when the entry is too large or storage refuses it. `etags` (request URL → ETag)
+    // and `build` (checksum of the deploy's bootstrap) let the next visit revalidate conditionally.
+    write(key, data, { checksum = checksumOf(data), etags, build } = {}) {
+      if (!storage) return false
+      const fullKey = storageKey(key)
+      const raw = JSON.stringify({ data, checksum, savedAt: Date.now(), ...(etags ? { etags, build } : {}) })
+      if (raw.length > maxChars) return false
+
+      try {
+        storage.setItem(fullKey, raw)
+        return true
+      } catch {
+        // Quota exceeded: evict and retry once
+        evictOthers(fullKey)
+        try {
+          storage.setItem(fullKey, raw)
+          return true
+        } catch {
+          return false
+        }
+      }
+    },
+
+    remove(key) {
+      if (!storage) return
+      try {
+        storage.removeItem(storageKey(key))
+      } catch {
+        // ignore
+      }
+    }
+  }
+}
@@ -0,0 +1,115 @@
+// Third-party embeds behind click-to-load facades (isomorphic).
+// Recognizes YouTube and Vimeo URLs and rewrites them to their privacy-enhanced hosts
+// (youtube-nocookie.com, Vimeo with dnt=1), so nothing from either loads before the visitor asks.
+
+export const EMBED_PROVIDERS = {
+  youtube: { label: 'YouTube', host: 'youtube-nocookie.com' },
+  vimeo: { label: 'Vimeo', host: 'player.vimeo.com' },
+  instagram: { label: 'Instagram', host: 'instagram.com' }
+}
+
+const toUrl = (value) => {
+  try {
+    return new URL(String(value || '').trim())
+  } catch {
+    return null
+  }
+}
+
+// "90", "90s", "1m30s", "1h2m3s" -> seconds; null when absent or unreadable.
+export const parseStartTime = (value) => {
+  const text = String(value ?? '').trim().toLowerCase()
+  if (!text) return null
+  if (/^\d+$/.test(text)) return Number(text) || null
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/)
+  if (!match || !match[0]) return null
+  const [, h = 0, m = 0, sec = 0] = match
+  return Number(h) * 3600 + Number(m) * 60 + Number(sec) || null
+}
+
+const YOUTUBE_HOSTS = new Set(['youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com'])
+const YOUTUBE_ID = /^[\w-]{11}$/
+
+const youtubeId = (url, host) => {
+  if (host === 'youtu.be') return url.pathname.split('/')[1]
+  if (!YOUTUBE_HOSTS.has(host)) return null
+  if (url.pathname === '/watch') return url.searchParams.get('v')
+  return url.pathname.match(/^\/(?:embed|shorts|live|v)\/([^/?#]+)/)?.[1] || null
+}
+
+// vimeo.com/123, vimeo.com/123/<hash>, vimeo.com/channels/x/123, vimeo.com/groups/x/videos/123,
+// vimeo.com/showcase/x/video/123 and player.vimeo.com/video/123?h=<hash>
+const vimeoIds = (url, host) => {
+  if (host === 'player.vimeo.com') {
+    const id = url.pathname.match(/^\/video\/(\d+)/)?.[1]
+    return id ? { id, hash: url.searchParams.get('h') } : null
+  }
+  if (host !== 'vimeo.com') return null
+  const parts = url.pathname.split('/').filter(Boolean)
+  const index = parts.findIndex((part) => /^\d+$/.test(part))
+  if (index < 0) return null
+  const next = parts[index + 1]
+  return { id: parts[index], hash: next && /^[\da-f]+$/i.test(next) ? next : url.searchParams.get('h') }
+}
+
+// Any YouTube (watch, youtu.be, shorts, live, embed) or Vimeo (page or player) URL ->
+// { provider: 'youtube' | 'vimeo', id, hash?, start? } with the start time in seconds from
+// ?t= / ?start= / #t=; null for anything else.
+export const parseEmbed = (src) => {
+  const url = toUrl(src)
+  if (!url || !/^https?:$/.test(url.protocol)) return null
+  const host = url.hostname.replace(/^www\./, '').toLowerCase()
+  const hashTime = new URLSearchParams(url.hash.slice(1)).get('t')
+  const start = parseStartTime(url.searchParams.get('start') || url.searchParams.get('t') || hashTime)
+
+  const ytId = youtubeId(url, host)
+  if (ytId) return YOUTUBE_ID.test(ytId) ? { provider: 'youtube', id: ytId, ...(start ? { start } : {}) } : null
+
+  const vimeo = vimeoIds(url, host)
+  if (vimeo) return { provider: 'vimeo', id: vimeo.id, ...(vimeo.hash ? { hash: vimeo.hash } : {}), ...(start ? { start } : {}) }
+  return null
+}
+
+// Player URL for a parsed embed. `privacy` switches to youtube-nocookie.com / Vimeo dnt=1 (what the
+// facade loads); `autoplay` is for a facade the visitor just clicked.
+export const embedUrl = ({ provider, id, hash, start }, { privacy = false, autoplay = false } = {}) => {
+  const query = new URLSearchParams()
+  if (provider === 'youtube') {
+    if (start) query.set('start', String(start))
+    if (autoplay) query.set('autoplay', '1')
+    const qs = query.toString()
+    return `https://www.${privacy ? 'youtube-nocookie.com' : 'youtube.com'}/embed/${id}${qs ? `?${qs}` : ''}`
+  }
+  if (provider === 'vimeo') {
+    if (hash) query.set('h', hash)
+    if (privacy) query.set('dnt', '1')
+    if (autoplay) query.set('autoplay', '1')
+    const qs = query.toString()
+    return `https://player.vimeo.com/video/${id}${qs ? `?${qs}` : ''}${start ? `#t=${start}s` : ''}`
+  }
+  return ''
+}
+
+export const privacyEmbedUrl = (embed, { autoplay = false } = {}) => embedUrl(embed, { privacy: true, autoplay })
+
+// Poster image a build step can fetch for an embed: YouTube serves thumbnails at a fixed URL,
+// Vimeo only through oEmbed (see scripts/lib/video_posters.mjs).
+export const youtubePosterUrl = (id) => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`
+
+export const vimeoOembedUrl = (id) => `https://vimeo.com/api/oembed.json?url=${encodeURIComponent(`https://vimeo.com/${id}`)}&width=1280`
+
+// posters: the bootstrap's `posters` map ({ [video src]: poster URL }) from the build.
+export const applyVideoPosters = (data, posters = {}) => ({
+  ...data,
+  liveDetailMap: Object.fromEntries(Object.entries(data.liveDetailMap || {}).map(([slug, detail]) => [
+    slug,
+    detail.blocks
+      ? {
+          ...detail,
+          blocks: detail.blocks.map((block) => (block.type === 'video'
+            ? { ...block, videos: block.videos.map((video) => (video.poster || !posters[video.src] ? video : { ...video, poster: posters[video.src] })) }
+            : block))
+        }
+      : detail
+  ]))
+})
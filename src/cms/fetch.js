@@ -0,0 +1,113 @@
+// Isomorphic fetch layer for CMS calls: per-attempt timeouts (AbortController) and bounded
+// exponential-backoff retries for network errors, timeouts, 429 and 5xx responses.
+
+export class CmsFetchError extends Error {
+  constructor(message, { url, status = null, timedOut = false, cause } = {}) {
+    super(message)
+    this.name = 'CmsFetchError'
+    this.url = url
+    this.status = status
+    this.timedOut = timedOut
+    if (cause) this.cause = cause
+  }
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+export const isRetryableError = (err) => {
+  if (!(err instanceof CmsFetchError)) return false
+  if (err.timedOut) return true
+  if (err.status == null) return true // network failure (DNS, offline, CORS reset…)
+  return err.status === 429 || err.status >= 500
+}
+
+export const backoffDelay = (attempt, { backoffMs = 300, maxBackoffMs = 4000 } = {}) => {
+  const base = Math.min(maxBackoffMs, backoffMs * 2 ** attempt)
+  // Equal jitter (half fixed, half random) keeps several tabs/builds from retrying in lockstep.
+  return Math.round(base / 2 + Math.random() * (base / 2))
+}
+
+const fetchOnce = async (url, { timeoutMs, signal, ...options }) => {
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = timeoutMs > 0
+    ? setTimeout(() => {
+        timedOut = true
+        controller.abort()
+      }, timeoutMs)
+    : null
+  const onOuterAbort = () => controller.abort()
+  if (signal) {
+    if (signal.aborted) controller.abort()
+    else signal.addEventListener('abort', onOuterAbort, { once: true })
+  }
+
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal })
+    // 304 only answers conditional requests (If-None-Match), whose callers handle it.
+    if (!res.ok && res.status !== 304) throw new CmsFetchError(`HTTP ${res.status}`, { url, status: res.status })
+    return res
+  } catch (err) {
+    if (err instanceof CmsFetchError) throw err
+    if (timedOut) throw new CmsFetchError(`Timeout after ${timeoutMs}ms`, { url, timedOut: true, cause: err })
+    if (signal?.aborted) throw err
+    throw new CmsFetchError(err?.message || 'Network error', { url, cause: err })
+  } finally {
+    if (timer) clearTimeout(timer)
+    if (signal) signal.removeEventListener('abort', onOuterAbort)
+  }
+}
+
+// Resolves with the Response of the first successful attempt.
+// Non-retryable failures (4xx, caller abort) are thrown straight away.
+export const fetchWithRetry = async (url, {
+  timeoutMs = 8000,
+  retries = 2,
+  backoffMs = 300,
+  maxBackoffMs = 4000,
+  onRetry,
+  ...options
+} = {}) => {
+  let attempt = 0
+  for (;;) {
+    try {
+      return await fetchOnce(url, { timeoutMs, ...options })
+    } catch (err) {
+      if (attempt >= retries || !isRetryableError(err)) throw err
+      const delay = backoffDelay(attempt, { backoffMs, maxBackoffMs })
+      onRetry?.(err, { attempt: attempt + 1, delay, url })
+      await sleep(delay)
+      attempt++
+    }
+  }
+}
+
+export const fetchJsonWithRetry = async (url, options = {}) => {
+  const res = await fetchWithRetry(url, options)
+  return await res.json()
+}
+
+// Caps how many tasks run at once: limit(() => fetch(...)) queues past `concurrency`.
+export const createLimiter = (concurrency = 4) => {
+  const max = Math.max(1, Number(concurrency) || 1)
+  let active = 0
+  const queue = []
+
+  const next = () => {
+    if (active >= max || !queue.length) return
+    active++
+    const { task, resolve, reject } = queue.shift()
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--
+        next()
+      })
+  }
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject })
+    next()
+  })
+}
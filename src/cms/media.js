@@ -0,0 +1,93 @@
+// Media URL traversal over the site data model (isomorphic).
+// Knows which fields hold images, playable video files, caption tracks and audio files, so build steps can collect or
+// rewrite them without repeating the model's shape.
+import { applyBandcampIds } from './bandcamp.js'
+import { applyVideoPosters } from './embeds.js'
+
+export const isRemoteUrl = (url) => /^https?:\/\//i.test(String(url || '').trim())
+
+const mapList = (list, fn, kind) => (Array.isArray(list) ? list.map((url) => fn(url, kind)) : list)
+
+// Returns a copy of `data` with fn(url, kind) applied to every media URL; kind is
+// 'image' | 'video' | 'audio' | 'track' (WebVTT captions/chapters).
+// Iframe videos (YouTube/Vimeo embeds) are not media files and are left alone; their posters are images.
+export const mapMediaUrls = (data, fn) => {
+  if (!data) return data
+  const mapImage = (url) => (url ? fn(url, 'image') : url)
+  const mapVideo = (video) => ({
+    ...video,
+    ...(video.type === 'video' && video.src ? { src: fn(video.src, 'video') } : {}),
+    ...(video.sources ? { sources: video.sources.map((s) => ({ ...s, src: fn(s.src, 'video') })) } : {}),
+    ...(video.tracks ? { tracks: video.tracks.map((t) => ({ ...t, src: fn(t.src, 'track') })) } : {}),
+    ...(video.poster ? { poster: fn(video.poster, 'image') } : {})
+  })
+
+  const mapLiveBlock = (block) => {
+    if (block.type === 'slideshow') return { ...block, images: mapList(block.images, fn, 'image') }
+    if (block.type === 'image') return { ...block, src: mapImage(block.src) }
+    if (block.type === 'video') return { ...block, videos: block.videos.map(mapVideo) }
+    if (block.type === 'audio') return { ...block, src: fn(block.src, 'audio') }
+    return block
+  }
+
+  const liveDetailMap = Object.fromEntries(
+    Object.entries(data.liveDetailMap || {}).map(([slug, detail]) => [
+      slug,
+      detail.blocks ? { ...detail, blocks: detail.blocks.map(mapLiveBlock) } : detail
+    ])
+  )
+
+  return {
+    ...data,
+    landingSlides: mapList(data.landingSlides, fn, 'image'),
+    releases: (data.releases || []).map((r) => ({
+      ...r,
+      image: mapImage(r.image),
+      ...(r.previews ? { previews: r.previews.map((p) => ({ ...p, src: fn(p.src, 'audio') })) } : {})
+    })),
+    liveProjects: (data.liveProjects || []).map((p) => ({ ...p, image: mapImage(p.image) })),
+    liveDetailMap
+  }
+}
+
+// -> Map<url, kind> of every distinct media URL in the dataset
+export const collectMediaUrls = (data) => {
+  const found = new Map()
+  mapMediaUrls(data, (url, kind) => {
+    if (url && !found.has(url)) found.set(url, kind)
+    return url
+  })
+  return found
+}
+
+// The bootstrap carries build-time artifacts next to the content: `media` (remote URL → mirrored
+// /media/ URL), `images` (URL → dimensions and srcset sources), `bandcamp` (page URL → player
+// IDs) and `posters` (embed URL → poster image). The browser can't produce them, so data rebuilt
+// from the CMS inherits them from the bootstrap of the running deploy (`from`).
+export const withBuildAssets = (data, from) => {
+  if (!data || !from || (!from.media && !from.images && !from.bandcamp && !from.posters)) return data
+  let result = data
+  // before media: posters in older bootstraps are the providers' URLs, which `media` may mirror
+  if (from.posters) result = { ...applyVideoPosters(result, from.posters), posters: from.posters }
+  if (from.media) {
+    const media = from.media
+    result = { ...mapMediaUrls(result, (url) => media[url] || url), media }
+  }
+  if (from.images) {
+    const used = collectMediaUrls(result)
+    result = { ...result, images: Object.fromEntries(Object.entries(from.images).filter(([url]) => used.has(url))) }
+  }
+  if (from.bandcamp) result = { ...applyBandcampIds(result, from.bandcamp), bandcamp: from.bandcamp }
+  return result
+}
+
+// CSS custom properties for the blur-up placeholder of an `images` entry (see .img-placeholder in
+// styles.css): the intrinsic ratio reserves the box, colour and LQIP paint it until the file loads.
+export const placeholderStyle = (meta) => {
+  if (!meta) return undefined
+  const style = {}
+  if (meta.width && meta.height) style['--intrinsic-ratio'] = `${meta.width} / ${meta.height}`
+  if (meta.color) style['--placeholder-color'] = meta.color
+  if (meta.lqip) style['--placeholder-image'] = `url("${meta.lqip}")`
+  return style
+}
@@ -0,0 +1,347 @@
+// Isomorphic CMS → site data mapping.
+// Shared by App.jsx (browser) and scripts/generate_bootstrap.mjs (Node), so keep it free of
+// import.meta.env, process.env, window and fetch: callers pass in plain sections/posts.
+import { toBandcampLink } from './bandcamp.js'
+import { validateSiteData } from './schema.js'
+import { resolveVideoBlock } from './video.js'
+
+export const SECTION_SLUGS = ['landing', 'releases', 'live', 'bio', 'contact']
+
+// Which keys of the site data model each CMS section feeds.
+export const SECTION_FIELDS = {
+  landing: ['landingSlides', 'landingPlayer'],
+  releases: ['releases'],
+  live: ['liveProjects', 'liveDetailMap', 'slugRedirects'],
+  bio: ['bioSections'],
+  contact: ['contactLinks']
+}
+
+// ---- endpoints ----
+
+const trimBase = (base) => String(base || '').replace(/\/$/, '')
+
+export const sectionsUrl = (base, { siteId } = {}) => {
+  const url = new URL(`${trimBase(base)}/sections`)
+  if (siteId) url.searchParams.set('siteId', String(siteId).trim())
+  url.searchParams.set('limit', '200')
+  return url.toString()
+}
+
+export const postsUrl = (base, { siteId, sectionId, page = 1, limit = 1000 } = {}) => {
+  const url = new URL(`${trimBase(base)}/posts`)
+  if (siteId) url.searchParams.set('siteId', String(siteId).trim())
+  url.searchParams.set('sectionId', String(sectionId))
+  url.searchParams.set('page', String(page))
+  url.searchParams.set('limit', String(limit))
+  url.searchParams.set('includeBlocks', 'true')
+  url.searchParams.set('includeTags', 'false')
+  url.searchParams.set('includeSection', 'false')
+  return url.toString()
+}
+
+export const indexSectionsBySlug = (sections) => {
+  const bySlug = {}
+  ;(Array.isArray(sections) ? sections : []).forEach((s) => {
+    if (s?.slug) bySlug[s.slug] = s
+  })
+  return bySlug
+}
+
+// ---- block helpers ----
+
+export const isExternalHref = (href) => /^(https?:\/\/|mailto:|tel:)/i.test(String(href || '').trim())
+
+export const firstBlockOfType = (blocks, type) => (Array.isArray(blocks) ? blocks.find((b) => b?.type === type) : null)
+
+export const blocksOfType = (blocks, type) => (Array.isArray(blocks) ? blocks.filter((b) => b?.type === type) : [])
+
+export const slideshowUrls = (block) => {
+  const images = block?.metadata?.images
+  if (!Array.isArray(images)) return []
+  return images.map((i) => i?.url).filter(Boolean)
+}
+
+const blockContent = (blocks, type) => String(firstBlockOfType(blocks, type)?.content || '').trim()
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0)
+
+const toOrder = (post) => (Number.isFinite(Number(post?.order)) ? Number(post.order) : 0)
+
+const toIsoDate = (value) => {
+  if (!value) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+// CMS post timestamps (ISO, omitted when missing) for feeds and sitemap lastmod.
+const toTimestamps = (post) => {
+  const publishedAt = toIsoDate(post?.publishedAt) || toIsoDate(post?.createdAt)
+  const updatedAt = toIsoDate(post?.updatedAt) || publishedAt
+  return { ...(publishedAt ? { publishedAt } : {}), ...(updatedAt ? { updatedAt } : {}) }
+}
+
+// ---- sections ----
+
+const postSlug = (post) => post?.slug || (post?.id != null ? `#${post.id}` : '(unknown)')
+
+const createReporter = (issues, section) => (post, field, message) => {
+  issues.push({ section, slug: postSlug(post), field, message })
+}
+
+export const normalizeLanding = (posts, report = () => {}) => {
+  const landingPost = posts?.[0]
+  if (!landingPost) return []
+  const slideshow = firstBlockOfType(landingPost.blocks, 'slideshow')
+  if (!slideshow) {
+    report(landingPost, 'blocks.slideshow', 'missing slideshow block')
+    return []
+  }
+  const slides = slideshowUrls(slideshow)
+  if (!slides.length) report(landingPost, 'blocks.slideshow.metadata.images', 'slideshow has no images')
+  return slides
+}
+
+// First Bandcamp link block of a post (URL and/or album/track ID), or null.
+const bandcampLinkOf = (post) => blocksOfType(post?.blocks, 'link').map(toBandcampLink).find(Boolean) || null
+
+// Optional player over the landing hero: a Bandcamp link block on the landing post.
+export const normalizeLandingPlayer = (posts) => bandcampLinkOf(posts?.[0])
+
+const textOf = (value) => String(value ?? '').trim()
+
+// Tracklist entries may be plain titles or { title, duration }.
+const toTrack = (entry) => {
+  const title = textOf(typeof entry === 'object' ? entry?.title : entry)
+  const duration = textOf(typeof entry === 'object' ? entry?.duration : '')
+  return title ? { title, ...(duration ? { duration } : {}) } : null
+}
+
+// Credits may be plain names or { role, name }.
+const toCredit = (entry) => {
+  const name = textOf(typeof entry === 'object' ? entry?.name : entry)
+  const role = textOf(typeof entry === 'object' ? entry?.role : '')
+  return name ? { name, ...(role ? { role } : {}) } : null
+}
+
+// Audio preview blocks (content = file URL, optional metadata.title) for the site-wide player.
+const toPreview = (block) => {
+  const src = textOf(block?.content)
+  const title = textOf(block?.metadata?.title)
+  return src ? { src, ...(title ? { title } : {}) } : null
+}
+
+// Release page fields, read from the link block's metadata (the Bandcamp link is the release):
+// { releaseDate (YYYY-MM-DD), label, catalogNumber, tracklist, credits, albumId, trackId }, plus the
+// post's text blocks and audio previews. Each key is omitted when empty so the bootstrap stays small.
+const releaseDetails = (post) => {
+  const linkBlock = firstBlockOfType(post.blocks, 'link')
+  const metadata = linkBlock?.metadata || {}
+  const player = toBandcampLink(linkBlock) || {}
+  const releaseDate = toIsoDate(metadata.releaseDate)?.slice(0, 10)
+  const tracklist = (Array.isArray(metadata.tracklist) ? metadata.tracklist : []).map(toTrack).filter(Boolean)
+  const credits = (Array.isArray(metadata.credits) ? metadata.credits : []).map(toCredit).filter(Boolean)
+  const body = blocksOfType(post.blocks, 'text').map((b) => textOf(b.content)).filter(Boolean)
+  const previews = blocksOfType(post.blocks, 'audio').map(toPreview).filter(Boolean)
+  const fields = {
+    releaseDate,
+    label: textOf(metadata.label),
+    catalogNumber: textOf(metadata.catalogNumber),
+    albumId: player.albumId,
+    trackId: player.trackId,
+    tracklist,
+    credits,
+    body,
+    previews
+  }
+  return Object.fromEntries(Object.entries(fields).filter(([, v]) => (Array.isArray(v) ? v.length : v)))
+}
+
+export const normalizeReleases = (posts, report = () => {}) =>
+  (posts || [])
+    .map((p) => {
+      const href = blockContent(p.blocks, 'link')
+      const image = blockContent(p.blocks, 'image')
+      if (!p.title) report(p, 'title', 'missing title')
+      if (!href) report(p, 'blocks.link', 'missing link block')
+      if (!image) report(p, 'blocks.image', 'missing image block')
+      return {
+        ...(p.slug ? { slug: p.slug } : {}),
+        href,
+        title: p.title || '',
+        image,
+        order: toOrder(p),
+        ...toTimestamps(p),
+        ...releaseDetails(p)
+      }
+    })
+    .filter((r) => r.href && r.title)
+    .sort(byOrder)
+
+export const normalizeLiveProjects = (posts, report = () => {}) =>
+  (posts || [])
+    .map((p) => {
+      const image = blockContent(p.blocks, 'image')
+      if (!p.slug) report(p, 'slug', 'missing slug')
+      if (!image) report(p, 'blocks.image', 'missing thumbnail image block')
+      return { slug: p.slug || '', title: p.title || '', image, order: toOrder(p), ...toTimestamps(p) }
+    })
+    .filter((r) => r.slug)
+    .sort(byOrder)
+
+// Live detail pages render their post's blocks in order (src/components/LiveBlocks.jsx). Each known
+// block type maps to the model below; other types keep just their text `content` for the fallback.
+const liveBlockModels = {
+  slideshow: (block, { report }) => {
+    const images = slideshowUrls(block)
+    if (!images.length) report('metadata.images', 'slideshow has no images')
+    return images.length ? { images } : null
+  },
+  // see resolveVideoBlock for the metadata a video block may carry
+  video: (block, { title, report }) => {
+    const video = resolveVideoBlock(block, { title, report })
+    return video ? { videos: [video] } : null
+  },
+  text: (block, { report }) => {
+    const html = textOf(block.content)
+    if (!html) report('content', 'text block is empty')
+    return html ? { html } : null
+  },
+  image: (block, { report }) => {
+    const src = textOf(block.content)
+    const alt = textOf(block.metadata?.alt)
+    const caption = textOf(block.metadata?.caption)
+    if (!src) report('content', 'image block has no URL')
+    return src ? { src, ...(alt ? { alt } : {}), ...(caption ? { caption } : {}) } : null
+  },
+  // Bandcamp links carry the player source (see src/cms/bandcamp.js)
+  link: (block, { report }) => {
+    const href = textOf(block.content)
+    const label = textOf(block.metadata?.label) || textOf(block.metadata?.title)
+    const player = toBandcampLink(block)
+    if (!href) report('content', 'link block has no URL')
+    return href ? { href, ...(label ? { label } : {}), ...(player ? { player } : {}) } : null
+  },
+  audio: (block, { report }) => {
+    const preview = toPreview(block)
+    if (!preview) report('content', 'audio block has no URL')
+    return preview
+  }
+}
+
+// The first image block is the project's grid thumbnail (normalizeLiveProjects) and is not repeated;
+// adjacent video blocks merge into one `video` block, which the page shows as a playlist.
+const toLiveBlocks = (post, title, report) => {
+  const thumbnail = firstBlockOfType(post.blocks, 'image')
+  const source = Array.isArray(post.blocks) ? post.blocks : []
+  return source.filter(Boolean).sort(byOrder).reduce((blocks, block) => {
+    if (block === thumbnail) return blocks
+    const toModel = liveBlockModels[block.type]
+    // Reports name the block by its position in the post as the CMS sent it, not in display order
+    const at = `blocks[${source.indexOf(block)}]`
+    const fields = toModel
+      ? toModel(block, { title, report: (field, message) => report(post, `${at}.${field}`, message) })
+      : (typeof block.content === 'string' && block.content.trim() ? { content: block.content.trim() } : null)
+    if (!fields) return blocks
+    const previous = blocks[blocks.length - 1]
+    if (block.type === 'video' && previous?.type === 'video') previous.videos.push(...fields.videos)
+    else blocks.push({ type: String(block.type || 'unknown'), ...fields })
+    return blocks
+  }, [])
+}
+
+// Built from the SAME live posts as the grid (so slug is unique and the grid links to the same entity).
+export const normalizeLiveDetailMap = (posts, report = () => {}) =>
+  (posts || []).reduce((acc, p) => {
+    if (!p.slug) return acc
+    const title = p.title || p.slug
+    acc[p.slug] = { title, blocks: toLiveBlocks(p, title, report) }
+    return acc
+  }, {})
+
+// Live detail -> its blocks. Bootstraps and caches from before live details carried `blocks` hold
+// the fixed two slideshows, video(s) and player instead.
+export const liveBlocksOf = (detail) => {
+  if (!detail) return []
+  if (Array.isArray(detail.blocks)) return detail.blocks
+  const videos = detail.videos || (detail.video ? [detail.video] : [])
+  return [
+    ...[detail.primaryImages, detail.secondaryImages].filter((images) => images?.length).map((images) => ({ type: 'slideshow', images })),
+    ...(videos.length ? [{ type: 'video', videos }] : []),
+    ...(detail.player ? [{ type: 'link', href: detail.player.url, player: detail.player }] : [])
+  ]
+}
+
+// Renamed live projects: posts may carry their former slugs (previousSlugs, or a slugHistory of
+// strings / { slug } entries). -> { formerSlug: currentSlug }
+export const normalizeSlugRedirects = (posts) =>
+  (posts || []).reduce((acc, p) => {
+    if (!p.slug) return acc
+    const former = [...(Array.isArray(p.previousSlugs) ? p.previousSlugs : []), ...(Array.isArray(p.slugHistory) ? p.slugHistory : [])]
+    former
+      .map((entry) => String((typeof entry === 'object' ? entry?.slug : entry) || '').trim())
+      .filter((slug) => slug && slug !== p.slug)
+      .forEach((slug) => { acc[slug] = p.slug })
+    return acc
+  }, {})
+
+export const normalizeBio = (posts, report = () => {}) =>
+  (posts || [])
+    .map((p) => {
+      const textBlock = firstBlockOfType(p.blocks, 'text')
+      if (!p.title) report(p, 'title', 'missing title')
+      if (!textBlock) report(p, 'blocks.text', 'missing text block')
+      return { order: toOrder(p), title: p.title || '', html: String(textBlock?.content || '') }
+    })
+    .filter((s) => s.title)
+    .sort(byOrder)
+
+export const normalizeContact = (posts, report = () => {}) =>
+  (posts || [])
+    .map((p) => {
+      const href = blockContent(p.blocks, 'link')
+      if (!p.title) report(p, 'title', 'missing title')
+      if (!href) report(p, 'blocks.link', 'missing link block')
+      return { order: toOrder(p), label: p.title || '', href, is_external: isExternalHref(href) }
+    })
+    .filter((l) => l.label && l.href)
+    .sort(byOrder)
+
+// postsBySection: { landing: posts[], releases: posts[], live: posts[], bio: posts[], contact: posts[] }
+// Returns the site data model plus every issue found (post-level and schema-level).
+export const buildSiteData = (postsBySection = {}) => {
+  const issues = []
+  const reporter = (section) => createReporter(issues, section)
+
+  const livePosts = postsBySection.live || []
+  const data = {
+    landingSlides: normalizeLanding(postsBySection.landing || [], reporter('landing')),
+    landingPlayer: normalizeLandingPlayer(postsBySection.landing || []),
+    releases: normalizeReleases(postsBySection.releases || [], reporter('releases')),
+    liveProjects: normalizeLiveProjects(livePosts, reporter('live')),
+    liveDetailMap: normalizeLiveDetailMap(livePosts, reporter('live')),
+    slugRedirects: normalizeSlugRedirects(livePosts),
+    bioSections: normalizeBio(postsBySection.bio || [], reporter('bio')),
+    contactLinks: normalizeContact(postsBySection.contact || [], reporter('contact'))
+  }
+
+  validateSiteData(data).forEach((i) => issues.push({ section: 'schema', slug: '', ...i }))
+  return { data, issues }
+}
+
+// Newest post timestamp in a dataset (only releases and live projects carry one); '' when none.
+export const latestUpdatedAt = (data) =>
+  [...(data?.releases || []), ...(data?.liveProjects || [])]
+    .reduce((latest, item) => (item?.updatedAt > latest ? item.updatedAt : latest), '')
+
+// For sections that failed to load, keep whatever the fallback dataset (cache/bootstrap) had
+// instead of replacing it with an empty list.
+export const withSectionFallbacks = (data, fallback, failedSections = []) => {
+  if (!fallback || !failedSections.length) return data
+  const merged = { ...data }
+  failedSections.forEach((slug) => {
+    ;(SECTION_FIELDS[slug] || []).forEach((key) => {
+      if (fallback[key] != null) merged[key] = fallback[key]
+    })
+  })
+  return merged
+}
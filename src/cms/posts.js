@@ -0,0 +1,67 @@
+// Paginated /posts loading shared by App.jsx and scripts/generate_bootstrap.mjs.
+// The caller supplies fetchJson (with its own siteId/cache/retry handling) and, optionally,
+// a limiter from createLimiter() so page requests across all sections share one concurrency cap.
+import { postsUrl } from './normalize.js'
+
+export const DEFAULT_PAGE_SIZE = 100
+// Safety stop for CMSs that never report an end (e.g. when total is missing and pages are always full).
+const MAX_PAGES = 100
+
+const toPositiveInt = (val) => {
+  const n = Number(val)
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : null
+}
+
+// Accepts the common shapes: { pagination: { totalPages, total, hasNextPage } }, { totalPages },
+// { total, limit }, { meta: {...} }. Returns { totalPages, hasMore } with null when unknown.
+export const readPagination = (data, pageSize) => {
+  const meta = data?.pagination || data?.meta || data || {}
+  const totalPages = toPositiveInt(meta.totalPages ?? meta.pages ?? meta.pageCount)
+  if (totalPages) return { totalPages, hasMore: null }
+
+  const total = toPositiveInt(meta.total ?? meta.totalCount ?? meta.count)
+  const limit = toPositiveInt(meta.limit) || pageSize
+  if (total != null && limit) return { totalPages: Math.max(1, Math.ceil(total / limit)), hasMore: null }
+
+  const hasMore = meta.hasNextPage ?? meta.hasMore ?? meta.hasNext
+  return { totalPages: null, hasMore: typeof hasMore === 'boolean' ? hasMore : null }
+}
+
+const postsOf = (data) => (Array.isArray(data?.posts) ? data.posts : [])
+
+export const fetchAllPosts = async ({
+  fetchJson,
+  base,
+  siteId,
+  sectionId,
+  pageSize = DEFAULT_PAGE_SIZE,
+  limit = (task) => task()
+}) => {
+  const fetchPage = (page) => limit(() => fetchJson(postsUrl(base, { siteId, sectionId, page, limit: pageSize })))
+
+  const first = await fetchPage(1)
+  const posts = [...postsOf(first)]
+  const { totalPages, hasMore } = readPagination(first, pageSize)
+
+  // Known page count: fetch the rest concurrently (bounded by the limiter), keep page order.
+  if (totalPages) {
+    const rest = []
+    for (let page = 2; page <= Math.min(totalPages, MAX_PAGES); page++) rest.push(fetchPage(page))
+    const pages = await Promise.all(rest)
+    pages.forEach((data) => posts.push(...postsOf(data)))
+    return posts
+  }
+
+  // Unknown page count: walk forward while the CMS says there is more (or pages come back full).
+  let page = 1
+  let last = first
+  let more = hasMore ?? postsOf(first).length >= pageSize
+  while (more && page < MAX_PAGES) {
+    page++
+    last = await fetchPage(page)
+    const batch = postsOf(last)
+    posts.push(...batch)
+    more = readPagination(last, pageSize).hasMore ?? batch.length >= pageSize
+  }
+  return posts
+}
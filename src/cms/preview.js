@@ -0,0 +1,48 @@
+// Draft preview mode: `?preview=<token>` (also inside a legacy #/ hash) switches the site to
+// uncached CMS data including unpublished posts. The token is kept for the tab session so it
+// survives navigation, and cleared again by exitPreview().
+
+export const PREVIEW_PARAM = 'preview'
+const PREVIEW_STORAGE_KEY = 'cms_preview_token'
+
+const hashParams = () => {
+  const hash = window.location.hash || ''
+  const q = hash.indexOf('?')
+  return new URLSearchParams(q >= 0 ? hash.slice(q + 1) : '')
+}
+
+const tokenFromUrl = () => {
+  const token = new URLSearchParams(window.location.search).get(PREVIEW_PARAM) || hashParams().get(PREVIEW_PARAM)
+  return token ? token.trim() : ''
+}
+
+export const readPreviewToken = () => {
+  if (typeof window === 'undefined') return null
+  const fromUrl = tokenFromUrl()
+  try {
+    if (fromUrl) {
+      sessionStorage.setItem(PREVIEW_STORAGE_KEY, fromUrl)
+      return fromUrl
+    }
+    return sessionStorage.getItem(PREVIEW_STORAGE_KEY) || null
+  } catch {
+    return fromUrl || null
+  }
+}
+
+// Forget the token and drop the query param from the address bar (without a reload).
+export const clearPreviewToken = () => {
+  try {
+    sessionStorage.removeItem(PREVIEW_STORAGE_KEY)
+  } catch {
+    // ignore
+  }
+
+  const url = new URL(window.location.href)
+  url.searchParams.delete(PREVIEW_PARAM)
+  const [hashPath, hashQuery = ''] = url.hash.split('?')
+  const params = new URLSearchParams(hashQuery)
+  params.delete(PREVIEW_PARAM)
+  url.hash = params.toString() ? `${hashPath}?${params}` : hashPath
+  window.history.replaceState(window.history.state, '', url.toString())
+}
@@ -0,0 +1,184 @@
+// Minimal schema validators for the site data model.
+// Each validator is (value, path) => issues[], so they compose without any dependency
+// and run the same way in the browser and in scripts/generate_bootstrap.mjs.
+
+const issue = (path, message) => [{ field: path || '(root)', message }]
+
+const join = (path, key) => (path ? `${path}.${key}` : String(key))
+
+const typeOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value)
+
+export const t = {
+  string: ({ nonEmpty = false } = {}) => (value, path) => {
+    if (typeof value !== 'string') return issue(path, `expected string, got ${typeOf(value)}`)
+    if (nonEmpty && !value.trim()) return issue(path, 'must not be empty')
+    return []
+  },
+
+  number: () => (value, path) =>
+    typeof value === 'number' && Number.isFinite(value) ? [] : issue(path, `expected number, got ${typeOf(value)}`),
+
+  boolean: () => (value, path) =>
+    typeof value === 'boolean' ? [] : issue(path, `expected boolean, got ${typeOf(value)}`),
+
+  nullable: (inner) => (value, path) => (value === null ? [] : inner(value, path)),
+
+  optional: (inner) => (value, path) => (value === undefined ? [] : inner(value, path)),
+
+  oneOf: (...values) => (value, path) =>
+    values.includes(value) ? [] : issue(path, `expected one of ${values.join(', ')}, got ${JSON.stringify(value)}`),
+
+  array: (item) => (value, path) => {
+    if (!Array.isArray(value)) return issue(path, `expected array, got ${typeOf(value)}`)
+    return value.flatMap((v, i) => item(v, `${path}[${i}]`))
+  },
+
+  object: (fields) => (value, path) => {
+    if (typeOf(value) !== 'object') return issue(path, `expected object, got ${typeOf(value)}`)
+    return Object.entries(fields).flatMap(([key, validator]) => validator(value[key], join(path, key)))
+  },
+
+  record: (inner) => (value, path) => {
+    if (typeOf(value) !== 'object') return issue(path, `expected object, got ${typeOf(value)}`)
+    return Object.entries(value).flatMap(([key, v]) => inner(v, join(path, key)))
+  }
+}
+
+const VideoSchema = t.object({
+  type: t.oneOf('iframe', 'video'),
+  src: t.string({ nonEmpty: true }),
+  title: t.optional(t.string()),
+  // iframe: the parsed embed (src/cms/embeds.js); video: the file's MIME type (src/cms/video.js)
+  provider: t.optional(t.oneOf('youtube', 'vimeo')),
+  id: t.optional(t.string({ nonEmpty: true })),
+  hash: t.optional(t.string({ nonEmpty: true })),
+  start: t.optional(t.number()),
+  mimeType: t.optional(t.string({ nonEmpty: true })),
+  // from block metadata, or for embeds found at build time (scripts/lib/video_posters.mjs)
+  poster: t.optional(t.string({ nonEmpty: true })),
+  // video files only: alternative encodings and WebVTT tracks
+  sources: t.optional(t.array(t.object({
+    src: t.string({ nonEmpty: true }),
+    mimeType: t.string({ nonEmpty: true })
+  }))),
+  tracks: t.optional(t.array(t.object({
+    src: t.string({ nonEmpty: true }),
+    kind: t.oneOf('captions', 'subtitles', 'chapters', 'descriptions'),
+    srclang: t.optional(t.string({ nonEmpty: true })),
+    label: t.optional(t.string({ nonEmpty: true })),
+    default: t.optional(t.boolean())
+  })))
+})
+
+// Bandcamp player source (see src/cms/bandcamp.js)
+const BandcampLinkSchema = t.object({
+  url: t.string(),
+  albumId: t.optional(t.string({ nonEmpty: true })),
+  trackId: t.optional(t.string({ nonEmpty: true }))
+})
+
+export const ReleaseSchema = t.object({
+  slug: t.optional(t.string({ nonEmpty: true })),
+  href: t.string({ nonEmpty: true }),
+  title: t.string({ nonEmpty: true }),
+  image: t.string(),
+  order: t.number(),
+  publishedAt: t.optional(t.string({ nonEmpty: true })),
+  updatedAt: t.optional(t.string({ nonEmpty: true })),
+  // release page details (see normalizeReleases)
+  releaseDate: t.optional(t.string({ nonEmpty: true })),
+  label: t.optional(t.string({ nonEmpty: true })),
+  catalogNumber: t.optional(t.string({ nonEmpty: true })),
+  albumId: t.optional(t.string({ nonEmpty: true })),
+  trackId: t.optional(t.string({ nonEmpty: true })),
+  tracklist: t.optional(t.array(t.object({ title: t.string({ nonEmpty: true }), duration: t.optional(t.string()) }))),
+  credits: t.optional(t.array(t.object({ name: t.string({ nonEmpty: true }), role: t.optional(t.string()) }))),
+  body: t.optional(t.array(t.string())),
+  // audio preview files for the site-wide player
+  previews: t.optional(t.array(t.object({ src: t.string({ nonEmpty: true }), title: t.optional(t.string()) })))
+})
+
+export const LiveProjectSchema = t.object({
+  slug: t.string({ nonEmpty: true }),
+  title: t.string(),
+  image: t.string(),
+  order: t.number(),
+  publishedAt: t.optional(t.string({ nonEmpty: true })),
+  updatedAt: t.optional(t.string({ nonEmpty: true }))
+})
+
+// Live detail blocks by type (see liveBlockModels in normalize.js); any other type is passed through
+// with its text content for the fallback renderer.
+const LIVE_BLOCK_SCHEMAS = {
+  slideshow: t.object({ images: t.array(t.string({ nonEmpty: true })) }),
+  video: t.object({ videos: t.array(VideoSchema) }),
+  text: t.object({ html: t.string({ nonEmpty: true }) }),
+  image: t.object({
+    src: t.string({ nonEmpty: true }),
+    alt: t.optional(t.string()),
+    caption: t.optional(t.string())
+  }),
+  link: t.object({
+    href: t.string({ nonEmpty: true }),
+    label: t.optional(t.string()),
+    player: t.optional(BandcampLinkSchema)
+  }),
+  audio: t.object({ src: t.string({ nonEmpty: true }), title: t.optional(t.string()) })
+}
+
+const LiveBlockSchema = (value, path) => {
+  const typeIssues = t.object({ type: t.string({ nonEmpty: true }) })(value, path)
+  if (typeIssues.length) return typeIssues
+  return (LIVE_BLOCK_SCHEMAS[value.type] || t.object({ content: t.optional(t.string()) }))(value, path)
+}
+
+export const LiveDetailSchema = t.object({
+  title: t.string({ nonEmpty: true }),
+  blocks: t.array(LiveBlockSchema)
+})
+
+export const BioSectionSchema = t.object({
+  order: t.number(),
+  title: t.string({ nonEmpty: true }),
+  html: t.string()
+})
+
+export const ContactLinkSchema = t.object({
+  order: t.number(),
+  label: t.string({ nonEmpty: true }),
+  href: t.string({ nonEmpty: true }),
+  is_external: t.boolean()
+})
+
+export const ImageMetaSchema = t.object({
+  width: t.number(),
+  height: t.number(),
+  color: t.optional(t.string({ nonEmpty: true })),
+  lqip: t.optional(t.string({ nonEmpty: true })),
+  sources: t.optional(t.array(t.object({ type: t.string({ nonEmpty: true }), srcset: t.string({ nonEmpty: true }) })))
+})
+
+export const SiteDataSchema = t.object({
+  landingSlides: t.array(t.string({ nonEmpty: true })),
+  landingPlayer: t.optional(t.nullable(BandcampLinkSchema)),
+  releases: t.array(ReleaseSchema),
+  liveProjects: t.array(LiveProjectSchema),
+  liveDetailMap: t.record(LiveDetailSchema),
+  // former live slug → current slug (from CMS slug history)
+  slugRedirects: t.optional(t.record(t.string({ nonEmpty: true }))),
+  bioSections: t.array(BioSectionSchema),
+  contactLinks: t.array(ContactLinkSchema),
+  // build-time artifacts (see src/cms/media.js withBuildAssets)
+  media: t.optional(t.record(t.string({ nonEmpty: true }))),
+  images: t.optional(t.record(ImageMetaSchema)),
+  posters: t.optional(t.record(t.string({ nonEmpty: true }))),
+  bandcamp: t.optional(t.record(t.object({ albumId: t.optional(t.string({ nonEmpty: true })), trackId: t.optional(t.string({ nonEmpty: true })) })))
+})
+
+export const validateSiteData = (data) => SiteDataSchema(data, '')
+
+// "releases/rg25 blocks.link: missing link block"
+export const formatIssue = ({ section, slug, field, message }) => {
+  const where = [section, slug].filter(Boolean).join('/')
+  return `${where ? `${where} ` : ''}${field}: ${message}`
+}
@@ -0,0 +1,114 @@
+// Video block source -> the descriptor LiveDetail renders (isomorphic).
+// Used by normalize.js, so the browser and scripts/generate_bootstrap.mjs resolve a CMS video the
+// same way: YouTube/Vimeo page or player URLs become embeds (see ./embeds.js), video files get their
+// MIME type from the extension, and anything else resolves to null for the caller to report.
+import { embedUrl, parseEmbed } from './embeds.js'
+
+export const VIDEO_MIME_TYPES = {
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  webm: 'video/webm',
+  ogv: 'video/ogg',
+  ogg: 'video/ogg',
+  mov: 'video/quicktime'
+}
+
+// Path of a site-relative ("/images/x.mp4") or http(s) video URL; null for anything else.
+const filePathOf = (src) => {
+  if (src.startsWith('/') && !src.startsWith('//')) return src.split(/[?#]/)[0]
+  try {
+    const url = new URL(src)
+    return /^https?:$/.test(url.protocol) ? url.pathname : null
+  } catch {
+    return null
+  }
+}
+
+// "/videos/set.webm?v=2" -> 'video/webm'; null when the path has no known video extension.
+export const videoMimeType = (src) => {
+  const ext = filePathOf(String(src || '').trim())?.match(/\.([a-z\d]+)$/i)?.[1]?.toLowerCase()
+  return (ext && VIDEO_MIME_TYPES[ext]) || null
+}
+
+const text = (value) => String(value ?? '').trim()
+
+const explicitMimeType = (value) => (/^video\/[\w.+-]+$/i.test(text(value)) ? text(value).toLowerCase() : null)
+
+// -> { type: 'iframe', provider, id, hash?, start?, src, title }
+//  | { type: 'video', src, mimeType, title }
+//  | null (empty or unrecognized source)
+// `mimeType` (block metadata) covers files whose URL has no extension.
+export const resolveVideo = (value, { title, mimeType } = {}) => {
+  const src = text(value)
+  if (!src) return null
+
+  const embed = parseEmbed(src)
+  if (embed) return { type: 'iframe', ...embed, src: embedUrl(embed), title }
+
+  const type = explicitMimeType(mimeType) || videoMimeType(src)
+  if (!type || !filePathOf(src)) return null
+  return { type: 'video', src, mimeType: type, title }
+}
+
+export const TRACK_KINDS = ['captions', 'subtitles', 'chapters', 'descriptions']
+
+// Alternative encoding: a URL or { src, type } -> { src, mimeType } | null
+const toSource = (entry) => {
+  const src = text(typeof entry === 'string' ? entry : entry?.src)
+  const mimeType = explicitMimeType(entry?.type) || videoMimeType(src)
+  return src && mimeType && filePathOf(src) ? { src, mimeType } : null
+}
+
+// WebVTT track: { src, kind?, srclang?, label?, default? } -> same shape (kind defaults to captions) | null
+const toTrack = (entry) => {
+  const src = text(entry?.src)
+  const kind = text(entry?.kind).toLowerCase() || 'captions'
+  if (!src || !filePathOf(src) || !TRACK_KINDS.includes(kind)) return null
+  const srclang = text(entry.srclang)
+  const label = text(entry.label)
+  return { src, kind, ...(srclang ? { srclang } : {}), ...(label ? { label } : {}), ...(entry.default === true ? { default: true } : {}) }
+}
+
+const keepValid = (list, convert, field, report) =>
+  (Array.isArray(list) ? list : []).reduce((acc, entry, i) => {
+    const value = convert(entry)
+    if (value) acc.push(value)
+    else report(`${field}[${i}]`, `unusable entry ${JSON.stringify(entry)}`)
+    return acc
+  }, [])
+
+// Video block -> resolveVideo's descriptor plus what its metadata adds: `title`, `mimeType`, `poster`,
+// `sources` (alternative encodings of a video file) and `tracks` (captions/chapters for a video file).
+// Parts that can't be used are passed to report(field, message) and left out; null when the block's
+// own source is unusable.
+export const resolveVideoBlock = (block, { title, report = () => {} } = {}) => {
+  const metadata = block?.metadata || {}
+  const src = text(block?.content)
+  if (!src) {
+    report('content', 'video block has no URL')
+    return null
+  }
+  const video = resolveVideo(src, { title: text(metadata.title) || title, mimeType: metadata.mimeType })
+  if (!video) {
+    report('content', `unrecognized video source ${JSON.stringify(src)}`)
+    return null
+  }
+
+  const poster = text(metadata.poster)
+  if (poster && !filePathOf(poster)) report('metadata.poster', `unusable poster ${JSON.stringify(poster)}`)
+  const withPoster = poster && filePathOf(poster) ? { ...video, poster } : video
+  if (video.type === 'iframe') {
+    if (metadata.sources?.length || metadata.tracks?.length) report('metadata', 'sources and tracks only apply to video files')
+    return withPoster
+  }
+
+  const sources = keepValid(metadata.sources, toSource, 'metadata.sources', report).filter((s) => s.src !== video.src)
+  const tracks = keepValid(metadata.tracks, toTrack, 'metadata.tracks', report)
+  return { ...withPoster, ...(sources.length ? { sources } : {}), ...(tracks.length ? { tracks } : {}) }
+}
+
+// Embed fields of an iframe descriptor, re-parsed from `src` for data cached before they existed.
+export const embedOf = (video) =>
+  video?.provider && video.id
+    ? { provider: video.provider, id: video.id, ...(video.hash ? { hash: video.hash } : {}), ...(video.start ? { start: video.start } : {}) }
+    : parseEmbed(video?.src)
@@ -0,0 +1,293 @@
+import { memo, useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { getLocalStorage } from '../cms/cache.js'
+import { AudioPlayerContext, useAudioPlayer } from '../hooks/useAudioPlayer.js'
+import { releasePath } from '../site/routes.js'
+
+// Site-wide audio: AudioPlayerProvider owns the single <audio> element and the queue (see
+// src/site/playlist.js), and is mounted above the router's <Routes> so playback survives
+// navigation. MiniPlayer is the bar Layout shows once a track is selected.
+
+const STORAGE_PREFIX = 'audio_player_v1:'
+// How often the resume position is written while playing (it is also saved on pause and pagehide).
+const SAVE_EVERY_MS = 5000
+// "previous" within the first seconds goes to the previous track, later it restarts this one.
+const RESTART_AFTER_S = 3
+
+const readResume = (key) => {
+  try {
+    const saved = JSON.parse(getLocalStorage()?.getItem(`${STORAGE_PREFIX}${key}`) || 'null')
+    return saved && typeof saved.id === 'string' ? { id: saved.id, time: Number(saved.time) || 0 } : null
+  } catch {
+    return null
+  }
+}
+
+const writeResume = (key, id, time) => {
+  try {
+    getLocalStorage()?.setItem(`${STORAGE_PREFIX}${key}`, JSON.stringify({ id, time: Math.floor(time) }))
+  } catch {
+    // quota or privacy mode: resuming is best-effort
+  }
+}
+
+const hasMediaSession = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator
+
+export const AudioPlayerProvider = memo(({ playlist, storageKey = 'default', artist = '', children }) => {
+  const audioRef = useRef(null)
+  const [currentId, setCurrentId] = useState(null)
+  const [isPlaying, setIsPlaying] = useState(false)
+  const [position, setPosition] = useState(0)
+  const [duration, setDuration] = useState(0)
+  // Seconds to seek to once the selected file's metadata has loaded
+  const resumeAtRef = useRef(0)
+  // Start playback as soon as the newly selected source is attached
+  const autoplayRef = useRef(false)
+  const restoredRef = useRef(false)
+  const lastSaveRef = useRef(0)
+
+  const index = playlist.findIndex((track) => track.id === currentId)
+  const current = index >= 0 ? playlist[index] : null
+
+  // Last track and position from a previous visit; selected but not played (autoplay is blocked anyway).
+  useEffect(() => {
+    if (restoredRef.current || !playlist.length) return
+    restoredRef.current = true
+    const saved = readResume(storageKey)
+    if (!saved || !playlist.some((track) => track.id === saved.id)) return
+    resumeAtRef.current = saved.time
+    setPosition(saved.time)
+    setCurrentId(saved.id)
+  }, [playlist, storageKey])
+
+  const save = useCallback(() => {
+    const audio = audioRef.current
+    if (!currentId || !audio) return
+    lastSaveRef.current = Date.now()
+    writeResume(storageKey, currentId, audio.currentTime || resumeAtRef.current)
+  }, [currentId, storageKey])
+
+  useEffect(() => {
+    window.addEventListener('pagehide', save)
+    return () => window.removeEventListener('pagehide', save)
+  }, [save])
+
+  const select = useCallback((id, { autoplay = true } = {}) => {
+    const audio = audioRef.current
+    if (id === currentId && audio) {
+      audio.currentTime = 0
+      if (autoplay) audio.play().catch(() => {})
+      return
+    }
+    resumeAtRef.current = 0
+    autoplayRef.current = autoplay
+    setPosition(0)
+    setDuration(0)
+    setCurrentId(id)
+  }, [currentId])
+
+  useEffect(() => {
+    if (!autoplayRef.current || !current) return
+    autoplayRef.current = false
+    audioRef.current?.play().catch(() => {})
+  }, [current])
+
+  const play = useCallback((id) => {
+    if (id && id !== currentId) return select(id)
+    if (!currentId && playlist[0]) return select(playlist[0].id)
+    audioRef.current?.play().catch(() => {})
+  }, [currentId, playlist, select])
+
+  const pause = useCallback(() => audioRef.current?.pause(), [])
+
+  const toggle = useCallback(() => (isPlaying ? pause() : play()), [isPlaying, pause, play])
+
+  const next = useCallback(() => {
+    if (index >= 0 && index < playlist.length - 1) select(playlist[index + 1].id)
+  }, [index, playlist, select])
+
+  const previous = useCallback(() => {
+    const audio = audioRef.current
+    if (audio && audio.currentTime > RESTART_AFTER_S) {
+      audio.currentTime = 0
+      return
+    }
+    if (index > 0) select(playlist[index - 1].id)
+  }, [index, playlist, select])
+
+  const seek = useCallback((time) => {
+    const audio = audioRef.current
+    if (!audio || !Number.isFinite(time)) return
+    audio.currentTime = Math.max(0, Math.min(time, audio.duration || time))
+    setPosition(audio.currentTime)
+  }, [])
+
+  const playRelease = useCallback((slug) => {
+    const first = playlist.find((track) => track.releaseSlug === slug)
+    if (first) select(first.id)
+  }, [playlist, select])
+
+  // Lock-screen / hardware media keys
+  const controlsRef = useRef({})
+  controlsRef.current = { play, pause, next, previous, seek }
+
+  useEffect(() => {
+    if (!hasMediaSession()) return
+    const session = navigator.mediaSession
+    const handlers = {
+      play: () => controlsRef.current.play(),
+      pause: () => controlsRef.current.pause(),
+      previoustrack: () => controlsRef.current.previous(),
+      nexttrack: () => controlsRef.current.next(),
+      seekto: (details) => controlsRef.current.seek(details.seekTime),
+      seekbackward: (details) => controlsRef.current.seek((audioRef.current?.currentTime || 0) - (details.seekOffset || 10)),
+      seekforward: (details) => controlsRef.current.seek((audioRef.current?.currentTime || 0) + (details.seekOffset || 10))
+    }
+    Object.entries(handlers).forEach(([action, handler]) => {
+      try {
+        session.setActionHandler(action, handler)
+      } catch {
+        // action not supported by this browser
+      }
+    })
+    return () => Object.keys(handlers).forEach((action) => {
+      try {
+        session.setActionHandler(action, null)
+      } catch {
+        // ignore
+      }
+    })
+  }, [])
+
+  useEffect(() => {
+    if (!hasMediaSession() || typeof window.MediaMetadata !== 'function') return
+    navigator.mediaSession.metadata = current
+      ? new window.MediaMetadata({
+          title: current.title,
+          artist,
+          album: current.album,
+          artwork: current.artwork ? [{ src: new URL(current.artwork, window.location.href).toString() }] : []
+        })
+      : null
+  }, [current, artist])
+
+  useEffect(() => {
+    if (hasMediaSession()) navigator.mediaSession.playbackState = current ? (isPlaying ? 'playing' : 'paused') : 'none'
+  }, [current, isPlaying])
+
+  const syncPositionState = () => {
+    const audio = audioRef.current
+    if (!hasMediaSession() || !audio || !Number.isFinite(audio.duration)) return
+    try {
+      navigator.mediaSession.setPositionState({ duration: audio.duration, playbackRate: audio.playbackRate, position: audio.currentTime })
+    } catch {
+      // older implementations reject some states
+    }
+  }
+
+  const handleLoadedMetadata = () => {
+    const audio = audioRef.current
+    setDuration(Number.isFinite(audio.duration) ? audio.duration : 0)
+    if (resumeAtRef.current && resumeAtRef.current < audio.duration) audio.currentTime = resumeAtRef.current
+    resumeAtRef.current = 0
+    syncPositionState()
+  }
+
+  const handleTimeUpdate = () => {
+    setPosition(audioRef.current.currentTime)
+    if (Date.now() - lastSaveRef.current > SAVE_EVERY_MS) save()
+  }
+
+  const handlePause = () => {
+    setIsPlaying(false)
+    save()
+  }
+
+  const handleEnded = () => {
+    if (index >= 0 && index < playlist.length - 1) {
+      select(playlist[index + 1].id)
+    } else {
+      setIsPlaying(false)
+      writeResume(storageKey, currentId, 0)
+    }
+  }
+
+  const value = useMemo(
+    () => ({ playlist, current, isPlaying, position, duration, play, pause, toggle, next, previous, seek, playRelease }),
+    [playlist, current, isPlaying, position, duration, play, pause, toggle, next, previous, seek, playRelease]
+  )
+
+  return (
+    <AudioPlayerContext.Provider value={value}>
+      {children}
+      <audio
+        ref={audioRef}
+        src={current?.src}
+        preload="metadata"
+        onLoadedMetadata={handleLoadedMetadata}
+        onTimeUpdate={handleTimeUpdate}
+        onPlay={() => setIsPlaying(true)}
+        onPause={handlePause}
+        onEnded={handleEnded}
+        onSeeked={syncPositionState}
+        onError={(e) => {
+          setIsPlaying(false)
+          // eslint-disable-next-line no-console
+          console.warn('[AudioPlayer] preview failed', e?.currentTarget?.src, e?.currentTarget?.error)
+        }}
+      />
+    </AudioPlayerContext.Provider>
+  )
+})
+
+AudioPlayerProvider.displayName = 'AudioPlayerProvider'
+
+const formatTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0))
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`
+}
+
+export const MiniPlayer = memo(() => {
+  const player = useAudioPlayer()
+  const current = player?.current
+
+  // Keeps page content clear of the fixed bar
+  useEffect(() => {
+    if (!current) return
+    document.body.classList.add('has-mini-player')
+    return () => document.body.classList.remove('has-mini-player')
+  }, [current])
+
+  if (!current) return null
+  const { playlist, isPlaying, position, duration, toggle, next, previous, seek } = player
+  const index = playlist.indexOf(current)
+
+  return (
+    <div className="mini-player" role="region" aria-label="audio player">
+      {current.artwork ? <img className="mini-player-cover" src={current.artwork} alt="" width="40" height="40" /> : null}
+      <div className="mini-player-meta">
+        <Link to={releasePath(current.releaseSlug)}>{current.title}</Link>
+        {current.album !== current.title ? <small>{current.album}</small> : null}
+      </div>
+      <div className="mini-player-controls">
+        <button type="button" onClick={previous} aria-label="previous">⏮</button>
+        <button type="button" onClick={toggle} aria-label={isPlaying ? 'pause' : 'play'}>{isPlaying ? '❚❚' : '▶'}</button>
+        <button type="button" onClick={next} disabled={index >= playlist.length - 1} aria-label="next">⏭</button>
+      </div>
+      <input
+        className="mini-player-seek"
+        type="range"
+        min="0"
+        max={duration || 0}
+        step="0.1"
+        value={Math.min(position, duration || position)}
+        onChange={(e) => seek(Number(e.target.value))}
+        aria-label="seek"
+        disabled={!duration}
+      />
+      <span className="mini-player-time">{formatTime(position)} / {formatTime(duration)}</span>
+    </div>
+  )
+})
+
+MiniPlayer.displayName = 'MiniPlayer'
@@ -0,0 +1,56 @@
+import { memo } from 'react'
+import { bandcampEmbed, parseBandcampUrl } from '../cms/bandcamp.js'
+import { ResponsiveImage } from './ResponsiveImage.jsx'
+
+// Official Bandcamp embedded player for an album/track `url` and/or `albumId` / `trackId`
+// (see src/cms/bandcamp.js). size: 'large' | 'small', theme: 'dark' | 'light'.
+// When there is no ID to embed it renders a static card linking to the Bandcamp page instead
+// (cover + title when given); with neither an ID nor a URL it renders nothing.
+export const BandcampPlayer = memo(({
+  url,
+  albumId,
+  trackId,
+  title = '',
+  image,
+  imageMeta,
+  size = 'large',
+  theme = 'dark',
+  artwork = true,
+  className = ''
+}) => {
+  const embed = bandcampEmbed({ albumId, trackId }, { size, theme, artwork })
+  const classes = (base) => [base, `is-${theme}`, className].filter(Boolean).join(' ')
+
+  if (embed) {
+    return (
+      <iframe
+        className={classes(`bandcamp-player is-${size}`)}
+        src={embed.src}
+        title={title ? `${title} (Bandcamp player)` : 'Bandcamp player'}
+        style={{ height: embed.height }}
+        seamless
+        loading="lazy"
+      />
+    )
+  }
+
+  const parsed = parseBandcampUrl(url)
+  const href = parsed?.url || String(url || '').trim()
+  if (!href) return null
+
+  return (
+    <a className={classes('bandcamp-card')} href={href} target="_blank" rel="noopener noreferrer">
+      {image ? (
+        <span className="bandcamp-card-cover">
+          <ResponsiveImage src={image} meta={imageMeta?.[image]} sizes="64px" alt="" loading="lazy" />
+        </span>
+      ) : null}
+      <span className="bandcamp-card-text">
+        {title ? <strong>{title}</strong> : null}
+        <small>{parsed ? `listen on ${parsed.artist}.bandcamp.com ↗` : 'listen ↗'}</small>
+      </span>
+    </a>
+  )
+})
+
+BandcampPlayer.displayName = 'BandcampPlayer'
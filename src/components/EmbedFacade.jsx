@@ -0,0 +1,65 @@
+import { memo, useState } from 'react'
+import { EMBED_PROVIDERS } from '../cms/embeds.js'
+import { useEmbedConsent } from '../hooks/useEmbedConsent.js'
+import { ResponsiveImage } from './ResponsiveImage.jsx'
+
+const IFRAME_ALLOW = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture'
+
+// Click-to-load stand-in for a third-party iframe: shows the poster (when the build found one) and
+// a load button, and only mounts the iframe once the visitor clicks or has chosen to always load
+// this provider (see useEmbedConsent). `activeSrc` is used after a click (e.g. with autoplay);
+// `className` goes on the facade and on the iframe so both take the same box.
+export const EmbedFacade = memo(({
+  provider,
+  src,
+  activeSrc,
+  title = '',
+  action = '▶ play',
+  poster,
+  imageMeta,
+  className = ''
+}) => {
+  const [activated, setActivated] = useState(false)
+  const [remember, setRemember] = useState(false)
+  const [granted, setGranted] = useEmbedConsent(provider)
+  const info = EMBED_PROVIDERS[provider] || { label: 'external content', host: '' }
+
+  if (activated || granted) {
+    return (
+      <iframe
+        className={className}
+        src={activated ? activeSrc || src : src}
+        title={title}
+        frameBorder="0"
+        allow={IFRAME_ALLOW}
+        allowFullScreen
+        loading="lazy"
+      />
+    )
+  }
+
+  const load = () => {
+    if (remember) setGranted(true)
+    setActivated(true)
+  }
+
+  return (
+    <div className={`embed-facade${poster ? ' has-poster' : ''} ${className}`.trim()} role="group" aria-label={title || undefined}>
+      {poster ? (
+        <ResponsiveImage src={poster} meta={imageMeta?.[poster]} sizes="(max-width: 768px) 100vw, 50vw" alt="" loading="lazy" />
+      ) : null}
+      <button type="button" className="embed-facade-load" onClick={load}>
+        {action}
+      </button>
+      <div className="embed-facade-note">
+        <span>loads content from {info.host || info.label}</span>
+        <label>
+          <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+          always load {info.label}
+        </label>
+      </div>
+    </div>
+  )
+})
+
+EmbedFacade.displayName = 'EmbedFacade'
@@ -0,0 +1,198 @@
+import { memo, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { privacyEmbedUrl } from '../cms/embeds.js'
+import { isExternalHref } from '../cms/normalize.js'
+import { embedOf, videoMimeType } from '../cms/video.js'
+import { normalizeBioHtml } from '../site/html.js'
+import { BandcampPlayer } from './BandcampPlayer.jsx'
+import { EmbedFacade } from './EmbedFacade.jsx'
+import { MediaSlider } from './MediaSlider.jsx'
+import { ResponsiveImage } from './ResponsiveImage.jsx'
+
+// Renders a live post's blocks in order (see liveBlockModels in src/cms/normalize.js). Each block
+// type has a component in BLOCK_COMPONENTS, called with { block, title, imageMeta }; types without
+// one go to FallbackBlock. A new block type needs a model there and a component here.
+
+const BLOCK_SIZES = '(max-width: 768px) 100vw, 80vw'
+
+const SlideshowBlock = memo(({ block, title, imageMeta }) => (
+  <MediaSlider images={block.images} imageMeta={imageMeta} sizes={BLOCK_SIZES} intervalMs={5000} alt={title} showNavigation={true} />
+))
+
+SlideshowBlock.displayName = 'SlideshowBlock'
+
+const VideoPlayer = ({ video, imageMeta }) => {
+  if (video.type === 'iframe') {
+    // YouTube/Vimeo load from their privacy hosts, and only after a click (or remembered consent)
+    const embed = embedOf(video)
+    return (
+      <EmbedFacade
+        key={video.src}
+        provider={embed?.provider}
+        src={embed ? privacyEmbedUrl(embed) : video.src}
+        activeSrc={embed ? privacyEmbedUrl(embed, { autoplay: true }) : video.src}
+        title={video.title}
+        poster={video.poster}
+        imageMeta={imageMeta}
+        className="project-video"
+      />
+    )
+  }
+
+  return (
+    // keyed: swapping <source> children alone doesn't make the element load the new video
+    <video
+      key={video.src}
+      className="project-video"
+      poster={video.poster}
+      controls
+      preload="metadata"
+      playsInline
+      onError={(e) => {
+        // eslint-disable-next-line no-console
+        console.warn('[LiveBlocks] video failed', e?.currentTarget?.currentSrc, e?.currentTarget?.error)
+      }}
+    >
+      <source src={video.src} type={video.mimeType || videoMimeType(video.src) || undefined} />
+      {(video.sources || []).map((source) => (
+        <source key={source.src} src={source.src} type={source.mimeType} />
+      ))}
+      {(video.tracks || []).map((track) => (
+        <track key={track.src} src={track.src} kind={track.kind} srcLang={track.srclang} label={track.label} default={track.default} />
+      ))}
+    </video>
+  )
+}
+
+// Adjacent video blocks arrive as one block: the current video, plus a list to switch between them.
+const VideoBlock = memo(({ block, imageMeta }) => {
+  const { videos } = block
+  const [videoIndex, setVideoIndex] = useState(0)
+  const video = videos[Math.min(videoIndex, videos.length - 1)]
+
+  return (
+    <div className={`video-section${videos.length > 1 ? ' has-playlist' : ''}`}>
+      <VideoPlayer video={video} imageMeta={imageMeta} />
+      {videos.length > 1 ? (
+        <ol className="video-playlist" aria-label="videos">
+          {videos.map((item, i) => (
+            <li key={`${item.src}-${i}`}>
+              <button
+                type="button"
+                className={item === video ? 'is-current' : undefined}
+                aria-current={item === video ? 'true' : undefined}
+                onClick={() => setVideoIndex(i)}
+              >
+                {item.poster ? (
+                  <span className="video-playlist-poster">
+                    <ResponsiveImage src={item.poster} meta={imageMeta?.[item.poster]} sizes="64px" alt="" loading="lazy" />
+                  </span>
+                ) : null}
+                <span className="video-playlist-title">{item.title}</span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      ) : null}
+    </div>
+  )
+})
+
+VideoBlock.displayName = 'VideoBlock'
+
+const TextBlock = memo(({ block }) => (
+  <div className="element data" dangerouslySetInnerHTML={{ __html: normalizeBioHtml(block.html) }} />
+))
+
+TextBlock.displayName = 'TextBlock'
+
+const ImageBlock = memo(({ block, title, imageMeta }) => (
+  <figure>
+    <ResponsiveImage src={block.src} meta={imageMeta?.[block.src]} sizes={BLOCK_SIZES} alt={block.alt || block.caption || title} loading="lazy" />
+    {block.caption ? <figcaption>{block.caption}</figcaption> : null}
+  </figure>
+))
+
+ImageBlock.displayName = 'ImageBlock'
+
+const ExternalOrInternalLink = ({ href, children }) =>
+  isExternalHref(href) ? (
+    <a href={href} target="_blank" rel="noopener noreferrer">{children}</a>
+  ) : (
+    <Link to={href}>{children}</Link>
+  )
+
+// Bandcamp links become the embedded player (or its link card), anything else a plain link.
+const LinkBlock = memo(({ block }) =>
+  block.player ? (
+    <div className="live-player">
+      <BandcampPlayer {...block.player} title={block.label} artwork={false} />
+    </div>
+  ) : (
+    <ExternalOrInternalLink href={block.href}>{block.label || block.href}</ExternalOrInternalLink>
+  )
+)
+
+LinkBlock.displayName = 'LinkBlock'
+
+const AudioBlock = memo(({ block }) => (
+  <figure>
+    {block.title ? <figcaption>{block.title}</figcaption> : null}
+    <audio src={block.src} controls preload="none" />
+  </figure>
+))
+
+AudioBlock.displayName = 'AudioBlock'
+
+// Block types this frontend doesn't know yet keep only their text content: a link when it is a
+// URL, plain text otherwise.
+const FallbackBlock = memo(({ block }) =>
+  isExternalHref(block.content) ? (
+    <ExternalOrInternalLink href={block.content}>{block.content}</ExternalOrInternalLink>
+  ) : (
+    <p>{block.content}</p>
+  )
+)
+
+FallbackBlock.displayName = 'FallbackBlock'
+
+const BLOCK_COMPONENTS = {
+  slideshow: SlideshowBlock,
+  video: VideoBlock,
+  text: TextBlock,
+  image: ImageBlock,
+  link: LinkBlock,
+  audio: AudioBlock
+}
+
+export const LiveBlocks = memo(({ blocks = [], title = '', imageMeta, className = '' }) => {
+  const renderable = blocks.filter((block) => BLOCK_COMPONENTS[block.type] || block.content)
+  const classes = ['live-blocks', className].filter(Boolean).join(' ')
+
+  if (!renderable.length) {
+    return (
+      <div className={classes}>
+        <div className="slider-placeholder">
+          <strong>coming soon</strong>
+          <small>waiting on footage</small>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className={classes}>
+      {renderable.map((block, i) => {
+        const known = Boolean(BLOCK_COMPONENTS[block.type])
+        const Block = known ? BLOCK_COMPONENTS[block.type] : FallbackBlock
+        return (
+          <section key={`${block.type}-${i}`} className={`live-block live-block-${known ? block.type : 'fallback'}`}>
+            <Block block={block} title={title} imageMeta={imageMeta} />
+          </section>
+        )
+      })}
+    </div>
+  )
+})
+
+LiveBlocks.displayName = 'LiveBlocks'
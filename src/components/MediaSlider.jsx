@@ -1,20 +1,37 @@
-import { memo, useEffect, useMemo, useState, useCallback } from 'react'
+import { memo, useEffect, useMemo, useRef, useState, useCallback } from 'react'
+import { placeholderStyle } from '../cms/media.js'
 
 // MediaSlider can consume either:
 // 1) dataUrl + basePath (legacy: dataUrl returns ["file1.jpg", ...])
 // 2) images: an array of absolute or root-relative URLs (new: Google Sheets)
-export const MediaSlider = memo(({ dataUrl, basePath = '', images, intervalMs = 6000, alt = '', showNavigation = true }) => {
-  const [files, setFiles] = useState([])
+// imageMeta (optional): bootstrap `images` map (URL → { width, height, color, lqip, sources }) for
+// srcset/sizes and the blur-up placeholder shown while each slide loads
+export const MediaSlider = memo(({ dataUrl, basePath = '', images, imageMeta = null, sizes = '100vw', intervalMs = 6000, alt = '', showNavigation = true }) => {
+  // Seeded from `images` so prerendered pages already contain the first slide.
+  const [files, setFiles] = useState(() => (Array.isArray(images) ? images.filter(Boolean) : []))
   const [index, setIndex] = useState(0)
   const [lastManualNavigation, setLastManualNavigation] = useState(0)
   const [autoPlayPaused, setAutoPlayPaused] = useState(false)
   const [preloadedImages, setPreloadedImages] = useState(new Set())
 
+  const filesRef = useRef(files)
+  useEffect(() => {
+    filesRef.current = files
+  }, [files])
+
+  // Content key, so a refreshed-but-identical images array (new identity) is a no-op.
+  const imagesKey = Array.isArray(images) ? images.filter(Boolean).join('\n') : ''
+
   // When images are passed directly, prefer them over dataUrl fetch.
   useEffect(() => {
-    if (Array.isArray(images) && images.length) {
-      setFiles(images.filter(Boolean))
-      setIndex(0)
+    if (imagesKey) {
+      const next = imagesKey.split('\n')
+      // Keep the current slide across live content refreshes (same image, or clamp to the new length).
+      setIndex((i) => {
+        const at = next.indexOf(filesRef.current[i])
+        return at >= 0 ? at : Math.min(i, next.length - 1)
+      })
+      setFiles(next)
       return
     }
     if (!dataUrl) return
@@ -32,7 +49,7 @@ export const MediaSlider = memo(({ dataUrl, basePath = '', images, intervalMs =
     return () => {
       isMounted = false
     }
-  }, [dataUrl, images])
+  }, [dataUrl, imagesKey])
 
   useEffect(() => {
     // eslint-disable-next-line no-console
@@ -92,8 +109,26 @@ export const MediaSlider = memo(({ dataUrl, basePath = '', images, intervalMs =
       const nextIndex = (index + 1) % files.length
       const prevIndex = (index - 1 + files.length) % files.length
       
-      const nextSources = generateImageSources(files[nextIndex])
-      const prevSources = generateImageSources(files[prevIndex])
+      // Responsive neighbours: let the browser pick the right width instead of fetching the original.
+      const preloadResponsive = (file) => {
+        const sources = imageMeta?.[file]?.sources
+        const webp = sources?.find((src) => src.type === 'image/webp') || sources?.[0]
+        if (!webp) return false
+        if (!preloadedImages.has(webp.srcset)) {
+          const img = new Image()
+          img.onload = () => {
+            setPreloadedImages(prev => new Set([...prev, webp.srcset]))
+          }
+          img.sizes = sizes
+          img.srcset = webp.srcset
+        }
+        return true
+      }
+      const nextResponsive = preloadResponsive(files[nextIndex])
+      const prevResponsive = preloadResponsive(files[prevIndex])
+
+      const nextSources = nextResponsive ? {} : generateImageSources(files[nextIndex])
+      const prevSources = prevResponsive ? {} : generateImageSources(files[prevIndex])
       
       const imagesToPreload = [
         nextSources.webp,
@@ -112,7 +147,7 @@ export const MediaSlider = memo(({ dataUrl, basePath = '', images, intervalMs =
         }
       })
     }
-  }, [index, hasImages, files, generateImageSources, preloadedImages])
+  }, [index, hasImages, files, generateImageSources, preloadedImages, imageMeta, sizes])
   
   // (moved generateImageSources above)
   
@@ -120,6 +155,27 @@ export const MediaSlider = memo(({ dataUrl, basePath = '', images, intervalMs =
     if (!hasImages) return { webp: '', original: '' }
     return generateImageSources(files[index])
   }, [hasImages, files, index, generateImageSources])
+
+  const currentMeta = hasImages ? imageMeta?.[files[index]] : null
+  const currentResponsiveSources = currentMeta?.sources
+
+  // Slide whose file has finished loading; any other slide shows its placeholder and fades in.
+  const [loadedSrc, setLoadedSrc] = useState(null)
+  const imgRef = useRef(null)
+  useEffect(() => {
+    const img = imgRef.current
+    if (img?.complete && img.naturalWidth) setLoadedSrc(currentImageSources.original)
+  }, [currentImageSources.original])
+  const markLoaded = useCallback(() => setLoadedSrc(currentImageSources.original), [currentImageSources.original])
+  const slideClassName = `slide img-placeholder${loadedSrc === currentImageSources.original ? ' is-loaded' : ''}`
+
+  const renderSources = () => (
+    Array.isArray(currentResponsiveSources) && currentResponsiveSources.length
+      ? currentResponsiveSources.map((src) => (
+          <source key={src.type} srcSet={src.srcset} sizes={sizes} type={src.type} />
+        ))
+      : <source srcSet={currentImageSources.webp} type="image/webp" />
+  )
   
 
 
@@ -156,16 +212,21 @@ export const MediaSlider = memo(({ dataUrl, basePath = '', images, intervalMs =
       {showNavigation && (
         <>
           <button className="slider-btn prev" onClick={goPrev} aria-label="Previous">‹</button>
-          <div className="slide">
+          <div className={slideClassName} style={placeholderStyle(currentMeta)}>
             <picture>
-              <source srcSet={currentImageSources.webp} type="image/webp" />
+              {renderSources()}
               <img 
+                ref={imgRef}
                 src={currentImageSources.original} 
                 alt={alt || 'slider image'} 
+                width={currentMeta?.width}
+                height={currentMeta?.height}
                 loading="eager"
                 decoding="async"
-                fetchpriority={index === 0 ? 'high' : 'auto'}
+                fetchPriority={index === 0 ? 'high' : 'auto'}
+                onLoad={markLoaded}
                 onError={(e) => {
+                  markLoaded()
                   // eslint-disable-next-line no-console
                   console.warn('[MediaSlider] image failed', e?.currentTarget?.src)
                 }}
@@ -182,14 +243,19 @@ export const MediaSlider = memo(({ dataUrl, basePath = '', images, intervalMs =
         </>
       )}
       {!showNavigation && (
-        <div className="slide">
+        <div className={slideClassName} style={placeholderStyle(currentMeta)}>
           <picture>
-            <source srcSet={currentImageSources.webp} type="image/webp" />
+            {renderSources()}
             <img 
+              ref={imgRef}
               src={currentImageSources.original} 
               alt={alt || 'slider image'} 
+              width={currentMeta?.width}
+              height={currentMeta?.height}
               loading="lazy" 
+              onLoad={markLoaded}
               onError={(e) => {
+                markLoaded()
                 // eslint-disable-next-line no-console
                 console.warn('[MediaSlider] image failed', e?.currentTarget?.src)
               }}
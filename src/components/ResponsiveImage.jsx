@@ -0,0 +1,58 @@
+import { memo, useCallback, useEffect, useRef, useState } from 'react'
+import { placeholderStyle } from '../cms/media.js'
+
+// <picture> for a bootstrap image: `meta` is the entry from data.images
+// ({ width, height, color, lqip, sources: [{ type, srcset }] }) produced by scripts/lib/image_derivatives.mjs.
+// The picture reserves the image's aspect ratio and shows the blurred placeholder until the file
+// has loaded, then fades it in. Without meta it degrades to a plain <img src>.
+export const ResponsiveImage = memo(({ src, meta, sizes = '100vw', alt = '', onLoad, onError, ...imgProps }) => {
+  const sources = Array.isArray(meta?.sources) ? meta.sources : []
+  const [loadedSrc, setLoadedSrc] = useState(null)
+  const imgRef = useRef(null)
+
+  const onLoadRef = useRef(onLoad)
+  onLoadRef.current = onLoad
+
+  // Cached (or prerendered, before hydration) images can finish before React attaches onLoad,
+  // and React does not replay that event: report it from here instead.
+  useEffect(() => {
+    const img = imgRef.current
+    if (!img?.complete || !img.naturalWidth) return
+    setLoadedSrc(src)
+    onLoadRef.current?.()
+  }, [src])
+
+  const handleLoad = useCallback((e) => {
+    setLoadedSrc(src)
+    onLoad?.(e)
+  }, [src, onLoad])
+
+  // A broken image should not stay hidden behind its placeholder.
+  const handleError = useCallback((e) => {
+    setLoadedSrc(src)
+    onError?.(e)
+  }, [src, onError])
+
+  return (
+    <picture
+      className={`img-placeholder${loadedSrc === src ? ' is-loaded' : ''}`}
+      style={placeholderStyle(meta)}
+    >
+      {sources.map((s) => (
+        <source key={s.type} type={s.type} srcSet={s.srcset} sizes={sizes} />
+      ))}
+      <img
+        ref={imgRef}
+        src={src}
+        alt={alt}
+        width={meta?.width}
+        height={meta?.height}
+        onLoad={handleLoad}
+        onError={handleError}
+        {...imgProps}
+      />
+    </picture>
+  )
+})
+
+ResponsiveImage.displayName = 'ResponsiveImage'
@@ -0,0 +1,23 @@
+import { memo, useEffect, useState } from 'react'
+
+// Small "updated" notice shown for a few seconds whenever `stamp` changes (0 = never shown).
+export const UpdateToast = memo(({ stamp, durationMs = 3500, children = 'updated' }) => {
+  const [visible, setVisible] = useState(false)
+
+  useEffect(() => {
+    if (!stamp) return
+    setVisible(true)
+    const id = setTimeout(() => setVisible(false), durationMs)
+    return () => clearTimeout(id)
+  }, [stamp, durationMs])
+
+  if (!visible) return null
+
+  return (
+    <div className="update-toast" role="status" aria-live="polite">
+      {children}
+    </div>
+  )
+})
+
+UpdateToast.displayName = 'UpdateToast'
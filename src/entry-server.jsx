@@ -0,0 +1,14 @@
+import { StrictMode } from 'react'
+import { renderToString } from 'react-dom/server'
+import { StaticRouter } from 'react-router-dom/server'
+import App from './App.jsx'
+
+// SSR entry used by scripts/prerender.mjs: renders one route from the bootstrap dataset.
+// Must stay in sync with the tree main.jsx hydrates.
+export const render = (url, data) => renderToString(
+  <StrictMode>
+    <StaticRouter location={url}>
+      <App initialData={data} />
+    </StaticRouter>
+  </StrictMode>
+)
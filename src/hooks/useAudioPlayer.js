@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react'
+
+// Shared by AudioPlayerProvider (src/components/AudioPlayer.jsx) and everything that controls it.
+export const AudioPlayerContext = createContext(null)
+
+// -> { playlist, current, isPlaying, position, duration, play, pause, toggle, next, previous, seek, playRelease }
+// or null outside the provider.
+export const useAudioPlayer = () => useContext(AudioPlayerContext)
@@ -0,0 +1,66 @@
+import { useEffect, useRef } from 'react'
+
+// Opt-in background refresh while the site is open.
+// - intervalMs > 0: poll onRefresh() on that interval (skipped while the tab is hidden,
+//   caught up as soon as it becomes visible again)
+// - eventsUrl: subscribe to a Server-Sent Events stream and refresh on every message
+// Refreshes never overlap; a trigger that arrives mid-refresh is dropped.
+export const useContentRefresh = ({ enabled = true, intervalMs = 0, eventsUrl = '', onRefresh }) => {
+  const onRefreshRef = useRef(onRefresh)
+  const inFlightRef = useRef(false)
+  const lastRunRef = useRef(Date.now())
+
+  useEffect(() => {
+    onRefreshRef.current = onRefresh
+  }, [onRefresh])
+
+  useEffect(() => {
+    if (!enabled || (!(intervalMs > 0) && !eventsUrl)) return
+
+    const run = async (reason) => {
+      if (inFlightRef.current) return
+      inFlightRef.current = true
+      lastRunRef.current = Date.now()
+      try {
+        await onRefreshRef.current?.(reason)
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.warn('[refresh] failed:', err?.message || err)
+      } finally {
+        inFlightRef.current = false
+      }
+    }
+
+    const cleanups = []
+
+    if (intervalMs > 0) {
+      const id = setInterval(() => {
+        if (document.hidden) return
+        run('interval')
+      }, intervalMs)
+      cleanups.push(() => clearInterval(id))
+
+      const onVisible = () => {
+        if (!document.hidden && Date.now() - lastRunRef.current >= intervalMs) run('visible')
+      }
+      document.addEventListener('visibilitychange', onVisible)
+      cleanups.push(() => document.removeEventListener('visibilitychange', onVisible))
+    }
+
+    if (eventsUrl && typeof EventSource !== 'undefined') {
+      // Coalesce bursts (e.g. an editor saving several posts) into one rebuild.
+      let debounceId = null
+      const source = new EventSource(eventsUrl)
+      source.onmessage = () => {
+        clearTimeout(debounceId)
+        debounceId = setTimeout(() => run('event'), 1000)
+      }
+      cleanups.push(() => {
+        clearTimeout(debounceId)
+        source.close()
+      })
+    }
+
+    return () => cleanups.forEach((fn) => fn())
+  }, [enabled, intervalMs, eventsUrl])
+}
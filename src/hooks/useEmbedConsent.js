@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useState } from 'react'
+
+// Per-provider "always load" choice for click-to-load embeds, kept in localStorage so it holds
+// across pages and visits. Every mounted facade follows changes (same tab via a custom event,
+// other tabs via `storage`). Starts as not granted so prerendered markup hydrates unchanged.
+
+const STORAGE_KEY = 'embed_consent_v1'
+const CHANGE_EVENT = 'embed-consent-change'
+
+const readConsent = () => {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}')
+    return parsed && typeof parsed === 'object' ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+// -> [granted, setGranted(boolean)]
+export const useEmbedConsent = (provider) => {
+  const [granted, setGrantedState] = useState(false)
+
+  useEffect(() => {
+    const sync = () => setGrantedState(readConsent()[provider] === true)
+    sync()
+    window.addEventListener(CHANGE_EVENT, sync)
+    window.addEventListener('storage', sync)
+    return () => {
+      window.removeEventListener(CHANGE_EVENT, sync)
+      window.removeEventListener('storage', sync)
+    }
+  }, [provider])
+
+  const setGranted = useCallback((value) => {
+    try {
+      const next = { ...readConsent() }
+      if (value) next[provider] = true
+      else delete next[provider]
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next))
+    } catch {
+      // storage unavailable: the choice only lasts for this page
+      setGrantedState(!!value)
+    }
+    window.dispatchEvent(new Event(CHANGE_EVENT))
+  }, [provider])
+
+  return [granted, setGranted]
+}
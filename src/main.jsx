@@ -1,17 +1,49 @@
 import { StrictMode } from 'react'
-import { createRoot } from 'react-dom/client'
-import { HashRouter } from 'react-router-dom'
+import { createRoot, hydrateRoot } from 'react-dom/client'
+import { BrowserRouter } from 'react-router-dom'
 import App from './App.jsx'
+import { readPreviewToken } from './cms/preview.js'
+import { SITE } from './site/active.js'
+import { cleanPathFromHash } from './site/routes.js'
 import './styles.css'
 
-// Use createRoot for better performance
-const root = createRoot(document.getElementById('root'))
+// Old shared links (bios, social posts) point at /#/live: move them to /live before routing.
+const legacyPath = cleanPathFromHash(window.location)
+if (legacyPath) window.history.replaceState(null, '', legacyPath)
 
-// Wrap in StrictMode for development optimizations
-root.render(
+const container = document.getElementById('root')
+
+// Pages prerendered by scripts/prerender.mjs carry their route, site and the bootstrap they were built from.
+const readPrerender = () => {
+  const { prerenderedRoute: route, prerenderedSite: site } = container.dataset
+  const script = document.getElementById('prerender-data')
+  if (!route || !script) return null
+  try {
+    return { route, site, data: JSON.parse(script.textContent) }
+  } catch {
+    return null
+  }
+}
+
+const currentPath = () => `/${window.location.pathname.replace(/^\/+|\/+$/g, '')}`
+const prerender = readPrerender()
+
+// Hydrate only when the markup matches what the client would render first; otherwise (vercel.json
+// rewrote an unknown path to /, a legacy hash link, draft preview, a hostname that resolves to another
+// site than the one prerendered) render from scratch over it.
+const canHydrate = prerender && currentPath() === prerender.route && prerender.site === SITE.key && !readPreviewToken()
+
+const app = (
   <StrictMode>
-    <HashRouter>
-    <App />
-    </HashRouter>
+    <BrowserRouter>
+    <App initialData={canHydrate ? prerender.data : null} />
+    </BrowserRouter>
   </StrictMode>
 )
+
+if (canHydrate) {
+  hydrateRoot(container, app)
+} else {
+  // Use createRoot for better performance
+  createRoot(container).render(app)
+}
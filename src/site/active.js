@@ -0,0 +1,10 @@
+// Active site from the registry: VITE_SITE pins one, otherwise it is matched by hostname.
+// VITE_CMS_SITE_ID still overrides the registry's siteId (single-site deploys).
+// (No window while prerendering: the build uses VITE_SITE or the default site.)
+import { resolveSite } from './registry.js'
+
+export const SITE = resolveSite({
+  key: import.meta.env.VITE_SITE,
+  hostname: typeof window !== 'undefined' ? window.location.hostname : undefined,
+  overrides: { siteId: import.meta.env.VITE_CMS_SITE_ID, url: import.meta.env.VITE_SITE_URL }
+})
@@ -0,0 +1,239 @@
+// Per-route document head: title, description, canonical URL, Open Graph/Twitter cards and JSON-LD.
+// buildRouteHead() is fed the same dataset the pages render, so App.jsx (applyHead, in the browser)
+// and scripts/prerender.mjs (renderHeadTags, into the static HTML) produce identical heads.
+import { liveBlocksOf } from '../cms/normalize.js'
+import { FEED_FILES, feedTitle, liveProjectPath, releaseSlug, siteFilesPath } from './routes.js'
+
+// Tags this module owns carry this attribute so the next route can replace them wholesale.
+export const HEAD_ATTR = 'data-route-head'
+
+const DESCRIPTION_MAX = 160
+
+const stripHtml = (html) =>
+  String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+const truncate = (text, max = DESCRIPTION_MAX) =>
+  text.length <= max ? text : `${text.slice(0, max - 1).replace(/\s+\S*$/, '')}…`
+
+// Root-relative URLs need an origin to be usable by crawlers and unfurlers; without one they stay relative.
+const absoluteUrl = (url, origin) => {
+  if (!url) return ''
+  if (!origin) return url
+  try {
+    return new URL(url, origin).toString()
+  } catch {
+    return url
+  }
+}
+
+const musicGroup = (site, origin, data) => {
+  const sameAs = [
+    site.instagram ? `https://www.instagram.com/${site.instagram}/` : null,
+    ...(data.contactLinks || []).filter((l) => l.is_external && /^https?:\/\//i.test(l.href)).map((l) => l.href)
+  ].filter(Boolean)
+  return {
+    '@type': 'MusicGroup',
+    name: site.name,
+    ...(origin ? { url: absoluteUrl('/', origin) } : {}),
+    ...(sameAs.length ? { sameAs: [...new Set(sameAs)] } : {})
+  }
+}
+
+const musicAlbum = (release, artist, origin) => ({
+  '@type': 'MusicAlbum',
+  name: release.title,
+  url: release.href,
+  ...(release.image ? { image: absoluteUrl(release.image, origin) } : {}),
+  byArtist: artist
+})
+
+// Release page: the album itself, with its tracks and label when the CMS has them.
+const albumDetail = (release, artist, origin, canonical) => ({
+  ...musicAlbum(release, artist, origin),
+  ...(canonical ? { url: canonical, sameAs: release.href } : {}),
+  ...(release.releaseDate ? { datePublished: release.releaseDate } : {}),
+  ...(release.tracklist?.length
+    ? {
+        numTracks: release.tracklist.length,
+        track: release.tracklist.map((track, index) => ({ '@type': 'MusicRecording', name: track.title, position: index + 1 }))
+      }
+    : {})
+})
+
+// Live posts document a performance without a date or venue, which an Event requires: describe
+// the post as a work by the artist instead.
+const liveWork = ({ title, image, artist, url, publishedAt }) => ({
+  '@type': 'CreativeWork',
+  name: title,
+  ...(url ? { url } : {}),
+  ...(image ? { image } : {}),
+  ...(publishedAt ? { datePublished: publishedAt } : {}),
+  creator: artist
+})
+
+const FEED_TYPES = { rss: 'application/rss+xml', atom: 'application/atom+xml', json: 'application/feed+json' }
+
+// <link rel="alternate"> for the releases feeds scripts/generate_bootstrap.mjs writes for this site.
+const feedLinks = (site) => {
+  const base = siteFilesPath(site)
+  return Object.entries(FEED_FILES).map(([kind, file]) => ({ type: FEED_TYPES[kind], title: feedTitle(site), href: `${base}${file}` }))
+}
+
+const withContext = (node) => ({ '@context': 'https://schema.org', ...node })
+
+// -> { title, description, canonical, image, type, jsonLd[], feeds[], themeColor, robots }
+// Paths that match no page (once data has loaded) get a noindex "not found" head.
+export const buildRouteHead = ({ site, pathname = '/', data = {}, origin = '', loading = false }) => {
+  const meta = site.meta || {}
+  const nav = site.nav || {}
+  const siteTitle = meta.title || site.name
+  const path = `/${String(pathname).replace(/^\/+|\/+$/g, '')}`
+  const canonical = origin ? absoluteUrl(path, origin) : ''
+  const artist = musicGroup(site, origin, data)
+  const pageTitle = (label) => (label ? `${label} · ${siteTitle}` : siteTitle)
+
+  const head = {
+    title: siteTitle,
+    description: meta.description || '',
+    canonical,
+    image: '',
+    type: 'website',
+    themeColor: meta.themeColor || '',
+    robots: '',
+    jsonLd: [],
+    feeds: feedLinks(site)
+  }
+  const notFound = () => {
+    if (loading) return
+    head.title = pageTitle('not found')
+    head.canonical = ''
+    head.robots = 'noindex'
+  }
+
+  const releases = data.releases || []
+  const liveProjects = data.liveProjects || []
+
+  if (path === '/') {
+    head.image = data.landingSlides?.[0] || ''
+    head.jsonLd = [withContext({ ...artist, ...(meta.description ? { description: meta.description } : {}) })]
+  } else if (path === '/releases') {
+    head.title = pageTitle(nav.releases)
+    head.image = releases[0]?.image || ''
+    head.jsonLd = releases.map((r) => withContext(musicAlbum(r, artist, origin)))
+  } else if (path === '/live') {
+    head.title = pageTitle(nav.live)
+    head.image = liveProjects[0]?.image || ''
+    head.jsonLd = liveProjects.map((p) =>
+      withContext(liveWork({
+        title: p.title || p.slug,
+        image: absoluteUrl(p.image, origin),
+        artist,
+        url: origin ? absoluteUrl(liveProjectPath(p.slug), origin) : '',
+        publishedAt: p.publishedAt
+      })))
+  } else if (path === '/bio') {
+    head.title = pageTitle(nav.bio)
+    const first = (data.bioSections || []).find((s) => s.html || s.text)
+    const text = stripHtml(first?.html || first?.text)
+    if (text) head.description = truncate(text)
+    head.jsonLd = [withContext(artist)]
+  } else if (path === '/contact') {
+    head.title = pageTitle(nav.contact)
+    head.jsonLd = [withContext(artist)]
+  } else if (path.startsWith('/releases/')) {
+    const slug = path.slice('/releases/'.length)
+    const release = releases.find((r) => releaseSlug(r) === slug)
+    if (release) {
+      const text = stripHtml(release.body?.[0])
+      head.title = pageTitle(release.title)
+      head.description = text ? truncate(text) : `${release.title} — ${site.name}`
+      head.image = release.image || ''
+      head.type = 'music.album'
+      head.jsonLd = [withContext(albumDetail(release, artist, origin, canonical))]
+    } else {
+      notFound()
+    }
+  } else if (path.startsWith('/live/')) {
+    const slug = path.slice('/live/'.length)
+    const detail = data.liveDetailMap?.[slug]
+    if (detail) {
+      const project = liveProjects.find((p) => p.slug === slug)
+      head.title = pageTitle(detail.title)
+      head.description = `${detail.title} — ${site.name} live`
+      const firstImage = liveBlocksOf(detail)
+        .map((block) => (block.type === 'slideshow' ? block.images[0] : block.type === 'image' ? block.src : null))
+        .find(Boolean)
+      head.image = project?.image || firstImage || ''
+      head.jsonLd = [withContext(liveWork({
+        title: detail.title,
+        image: absoluteUrl(head.image, origin),
+        artist,
+        url: canonical,
+        publishedAt: project?.publishedAt
+      }))]
+    } else {
+      notFound()
+    }
+  } else {
+    notFound()
+  }
+
+  head.image = absoluteUrl(head.image, origin)
+  return head
+}
+
+// [tag, attributes] pairs for everything but <title> and JSON-LD.
+const metaTags = (head) => [
+  ['meta', { name: 'description', content: head.description }],
+  ['meta', { name: 'theme-color', content: head.themeColor }],
+  ['meta', { name: 'robots', content: head.robots }],
+  ['link', { rel: 'canonical', href: head.canonical }],
+  ['meta', { property: 'og:type', content: head.type }],
+  ['meta', { property: 'og:title', content: head.title }],
+  ['meta', { property: 'og:description', content: head.description }],
+  ['meta', { property: 'og:url', content: head.canonical }],
+  ['meta', { property: 'og:image', content: head.image }],
+  ['meta', { name: 'twitter:card', content: head.image ? 'summary_large_image' : 'summary' }],
+  ['meta', { name: 'twitter:title', content: head.title }],
+  ['meta', { name: 'twitter:description', content: head.description }],
+  ['meta', { name: 'twitter:image', content: head.image }],
+  ...head.feeds.map((feed) => ['link', { rel: 'alternate', ...feed }])
+].filter(([, attrs]) => attrs.content !== '' && attrs.href !== '')
+
+// JSON inside <script>: "</script>" must not end it early.
+const jsonLdText = (node) => JSON.stringify(node).replace(/</g, '\\u003c')
+
+const escapeHtml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+// Static HTML for the prerendered <head>.
+export const renderHeadTags = (head) => [
+  `<title>${escapeHtml(head.title)}</title>`,
+  ...metaTags(head).map(([tag, attrs]) =>
+    `<${tag} ${HEAD_ATTR} ${Object.entries(attrs).map(([k, v]) => `${k}="${escapeHtml(v)}"`).join(' ')} />`),
+  ...head.jsonLd.map((node) => `<script ${HEAD_ATTR} type="application/ld+json">${jsonLdText(node)}</script>`)
+].join('\n    ')
+
+// Browser: swap the previous route's tags for this one's.
+export const applyHead = (head) => {
+  document.title = head.title
+  document.head.querySelectorAll(`[${HEAD_ATTR}]`).forEach((el) => el.remove())
+  for (const [tag, attrs] of metaTags(head)) {
+    const el = document.createElement(tag)
+    el.setAttribute(HEAD_ATTR, '')
+    Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v))
+    document.head.appendChild(el)
+  }
+  for (const node of head.jsonLd) {
+    const el = document.createElement('script')
+    el.setAttribute(HEAD_ATTR, '')
+    el.type = 'application/ld+json'
+    el.textContent = JSON.stringify(node)
+    document.head.appendChild(el)
+  }
+}
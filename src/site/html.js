@@ -0,0 +1,11 @@
+// CMS rich-text HTML as the pages render it (bio sections, release and live text blocks).
+
+// Normalizar HTML para reducir espacio excesivo de saltos de línea
+export const normalizeBioHtml = (html) => {
+  if (!html) return html
+  // Reducir <p><br></p> a <p><br></p> con clase especial para menos margen
+  // O mejor: convertir <p><br></p> a solo <br> con un wrapper
+  return html
+    .replace(/<p><br\s*\/?><\/p>/gi, '<br class="bio-line-break" />')
+    .replace(/<p>\s*<br\s*\/?>\s*<\/p>/gi, '<br class="bio-line-break" />')
+}
@@ -0,0 +1,17 @@
+// The site-wide audio queue: every release's preview files (audio blocks), in release order.
+import { releaseSlug } from './routes.js'
+
+// -> [{ id, src, title, album, artwork, releaseSlug }]; ids are stable across data refreshes
+// so a saved resume position still finds its track.
+export const buildPlaylist = (releases = []) =>
+  releases.flatMap((release) => {
+    const slug = releaseSlug(release)
+    return (release.previews || []).map((preview, index) => ({
+      id: `${slug}:${index}`,
+      src: preview.src,
+      title: preview.title || release.tracklist?.[index]?.title || release.title,
+      album: release.title,
+      artwork: release.image || '',
+      releaseSlug: slug
+    }))
+  })
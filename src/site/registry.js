@@ -0,0 +1,59 @@
+// Site registry: one frontend, several artist sites.
+// Each entry maps hostnames to the CMS site it renders plus the per-site copy that used to be
+// hard-coded (nav labels, default meta tags, Instagram handle, public URL). Shared by App.jsx (resolved from
+// window.location.hostname) and scripts/generate_bootstrap.mjs (resolved from SITE=<key>).
+
+export const SITES = [
+  {
+    key: 'sympaathy',
+    // Used for any hostname no other entry claims (localhost, Vercel previews…).
+    default: true,
+    hostnames: [],
+    siteId: '2',
+    cmsApi: 'https://cms-woad-delta.vercel.app',
+    // Static snapshot written by generate_bootstrap.mjs for this site (relative to public/).
+    bootstrapPath: '/posts_bootstrap.json',
+    // Public origin for canonical/og URLs; empty = the browser's origin (SITE_URL at build time).
+    url: '',
+    name: 'Sympaathy',
+    nav: { releases: 'releases', live: 'live', bio: 'bio', contact: 'contact' },
+    meta: {
+      title: 'Sympaathy',
+      description: 'Sympaathy - Deterritorialized sound artist. Currently Berlin based.',
+      themeColor: '#000000'
+    },
+    instagram: 'prenatal_amygdala',
+    // Renamed live projects not covered by the CMS slug history: { 'old-slug': 'new-slug' }
+    slugRedirects: {}
+  }
+]
+
+const normalizeHost = (hostname) => String(hostname || '').trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '')
+
+// "*.example.com" matches any subdomain of example.com (not the apex).
+const hostMatches = (pattern, host) => {
+  const p = normalizeHost(pattern)
+  if (p.startsWith('*.')) return host.endsWith(p.slice(1))
+  return p === host
+}
+
+export const findSiteByKey = (key, sites = SITES) => sites.find((s) => s.key === key) || null
+
+export const findSiteByHostname = (hostname, sites = SITES) => {
+  const host = normalizeHost(hostname)
+  if (!host) return null
+  return sites.find((s) => (s.hostnames || []).some((pattern) => hostMatches(pattern, host))) || null
+}
+
+export const defaultSite = (sites = SITES) => sites.find((s) => s.default) || sites[0]
+
+// Resolution order: explicit key (VITE_SITE / SITE) → hostname → default entry.
+// `overrides` (e.g. { siteId, cmsApi } from env) win over the registry values.
+export const resolveSite = ({ key, hostname, overrides = {}, sites = SITES } = {}) => {
+  const byKey = key ? findSiteByKey(key, sites) : null
+  if (key && !byKey) throw new Error(`Unknown site "${key}" (known: ${sites.map((s) => s.key).join(', ')})`)
+
+  const site = byKey || findSiteByHostname(hostname, sites) || defaultSite(sites)
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v != null && String(v).trim() !== ''))
+  return { ...site, ...defined, siteId: String(defined.siteId ?? site.siteId).trim() }
+}
@@ -0,0 +1,48 @@
+// Public routes of the site for code that works outside the router: scripts/prerender.mjs,
+// the sitemap and feeds in scripts/generate_bootstrap.mjs and src/site/head.js.
+
+export const STATIC_ROUTES = ['/', '/releases', '/live', '/bio', '/contact']
+
+// Live details are namespaced so CMS slugs can't collide with top-level pages.
+export const liveProjectPath = (slug) => `/live/${slug}`
+
+// Release pages use the post slug; bootstraps from before releases carried one fall back to the
+// last segment of the Bandcamp URL (".../album/rg25" -> "rg25"), which the CMS slugs mirror.
+export const releaseSlug = (release) =>
+  release?.slug || String(release?.href || '').replace(/[?#].*$/, '').split('/').filter(Boolean).pop() || ''
+
+export const releasePath = (slug) => `/releases/${slug}`
+
+// Releases feeds, written next to the site's bootstrap ("/sites/b/posts_bootstrap.json" -> "/sites/b/").
+export const FEED_FILES = { rss: 'feed.xml', atom: 'atom.xml', json: 'feed.json' }
+
+export const siteFilesPath = (site) => String(site?.bootstrapPath || '/posts_bootstrap.json').replace(/[^/]*$/, '') || '/'
+
+export const feedTitle = (site) => `${site.name} — releases`
+
+// Slugs that can be served as their own path segment.
+export const isRoutableSlug = (slug) => /^[\w-]+$/.test(String(slug || ''))
+
+// Follows renamed-slug redirects (registry config + CMS slug history) to a slug that exists;
+// null when the chain ends nowhere. Bounded so a cyclic map can't hang the page.
+export const resolveLiveSlug = (slug, liveDetailMap = {}, redirects = {}) => {
+  let current = slug
+  for (let hops = 0; hops <= 10; hops++) {
+    if (liveDetailMap[current]) return current
+    const next = redirects[current]
+    if (!next || next === current) return null
+    current = next
+  }
+  return null
+}
+
+// HashRouter-era links ("/#/live", "/#/?preview=x") -> the clean path ("/live", "/?preview=x"),
+// merging the hash query into the real one; null when the hash is not a route.
+export const cleanPathFromHash = ({ search = '', hash = '' } = {}) => {
+  if (!hash.startsWith('#/')) return null
+  const [hashPath, hashQuery = ''] = hash.slice(1).split('?')
+  const params = new URLSearchParams(search)
+  new URLSearchParams(hashQuery).forEach((value, key) => params.set(key, value))
+  const query = params.toString()
+  return `${hashPath}${query ? `?${query}` : ''}`
+}
@@ -0,0 +1,54 @@
+// "Did you mean" for the not-found page: fuzzy-matches the last segment of a missing path
+// against live project slugs/titles and release titles.
+import { isRoutableSlug, liveProjectPath, releasePath, releaseSlug } from './routes.js'
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    prev = row
+  }
+  return prev[b.length]
+}
+
+// 0..1; containment counts as a strong match ("pastoral" ~ ".pastoral live").
+const similarity = (query, text) => {
+  if (!query || !text) return 0
+  if (text.includes(query) || query.includes(text)) return 0.9
+  return 1 - levenshtein(query, text) / Math.max(query.length, text.length)
+}
+
+// "/live/pastorl-live" -> [{ label, to } | { label, href }], best first.
+export const suggestRoutes = (path, { liveProjects = [], releases = [] } = {}, { limit = 3, threshold = 0.5 } = {}) => {
+  const segment = String(path || '').split(/[?#]/)[0].split('/').filter(Boolean).pop() || ''
+  let query = segment
+  try {
+    query = decodeURIComponent(segment)
+  } catch {
+    // keep the raw segment
+  }
+  query = normalize(query)
+  if (!query) return []
+
+  const candidates = [
+    ...liveProjects.map((p) => ({ label: p.title || p.slug, to: liveProjectPath(p.slug), keys: [p.slug, p.title] })),
+    ...releases.map((r) => ({
+      label: r.title,
+      ...(isRoutableSlug(releaseSlug(r)) ? { to: releasePath(releaseSlug(r)) } : { href: r.href }),
+      keys: [r.title, releaseSlug(r)]
+    }))
+  ]
+
+  return candidates
+    .map(({ keys, ...candidate }) => ({ candidate, score: Math.max(...keys.map((k) => similarity(query, normalize(k)))) }))
+    .filter((c) => c.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((c) => c.candidate)
+}
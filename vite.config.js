@@ -2,14 +2,15 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vitejs.dev/config/
-export default defineConfig({
+export default defineConfig(({ isSsrBuild }) => ({
   plugins: [react()],
   build: {
     target: 'es2015',
     // Use Vite's default (esbuild) minifier; terser can introduce issues in some cases
     minify: true,
     sourcemap: true,
-    rollupOptions: {
+    // The SSR bundle (prerender) keeps react/react-router external, so no vendor chunks there
+    rollupOptions: isSsrBuild ? {} : {
       output: {
         manualChunks: {
           vendor: ['react', 'react-dom'],
@@ -30,4 +31,4 @@ export default defineConfig({
   css: {
     devSourcemap: false,
   },
-})
+}))